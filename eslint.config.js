@@ -8,6 +8,13 @@ export default [
         WeakMap: 'readonly',
         Set: 'readonly',
         requestAnimationFrame: 'readonly',
+        cancelAnimationFrame: 'readonly',
+        ResizeObserver: 'readonly',
+        MutationObserver: 'readonly',
+        CustomEvent: 'readonly',
+        NodeFilter: 'readonly',
+        Node: 'readonly',
+        HTMLElement: 'readonly',
         window: 'readonly',
         document: 'readonly',
         console: 'readonly',
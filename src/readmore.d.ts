@@ -1,21 +1,267 @@
+/**
+ * Truncation modes: by line count, by height, by number of characters or words,
+ * or by measured line boxes of rich content
+ */
+export type ReadMoreMode = 'lines' | 'height' | 'chars' | 'words' | 'rich';
+
+/**
+ * Toggle button position: next to the target, over its last visible line, or in a container element (or selector)
+ */
+export type ReadMorePlacement = 'after' | 'before' | 'inline' | HTMLElement | string;
+
+/**
+ * Context passed to label functions
+ */
+export interface ReadMoreLabelContext {
+  /** The state the label is for */
+  expanded: boolean;
+  /** Lines beyond the limit in lines and rich modes; NaN if unknown or in other modes */
+  hiddenLines: number;
+  /** The resolved locale name */
+  locale: string;
+  /** Picks the plural form for hiddenLines with Intl.PluralRules, falling back to `other` */
+  plural(forms: Partial<Record<Intl.LDMLPluralRule, string>> & { other: string }): string;
+}
+
+/**
+ * Context passed to an expandedLines message function
+ */
+export interface ReadMoreMessageContext {
+  /** The number of revealed lines */
+  count: number;
+  /** The resolved locale name */
+  locale: string;
+  /** Picks the plural form for count with Intl.PluralRules, falling back to `other` */
+  plural: ReadMoreLabelContext['plural'];
+}
+
+/**
+ * Function returning a button label for a state
+ */
+export type ReadMoreLabelFunction = (context: ReadMoreLabelContext) => string;
+
+/**
+ * Labels and announcement texts for a locale, registered with registerLocale()
+ */
+export interface ReadMoreLocale {
+  readMore: string | ReadMoreLabelFunction;
+  readLess: string | ReadMoreLabelFunction;
+  /** a11y announcement texts for this locale */
+  messages?: ReadMoreA11yOptions['messages'];
+}
+
+/**
+ * Line limits per breakpoint, keyed by min-width in pixels or by media query string
+ */
+export type ReadMoreBreakpoints = { [minWidthOrMediaQuery: string]: number };
+
 /**
  * Configuration options for the readmore functionality
  */
 export interface ReadMoreOptions {
   /** The DOM element to apply readmore functionality to (required, must have a parent node) */
   targetElement: HTMLElement;
-  /** Text for the "read more" link (must be a string if provided) */
-  readMoreLabel?: string;
-  /** Text for the "read less" link (must be a string if provided) */
-  readLessLabel?: string;
+  /** Text for the "read more" link (defaults to the locale's label), or a function returning it */
+  readMoreLabel?: string | ReadMoreLabelFunction;
+  /** Text for the "read less" link (defaults to the locale's label), or a function returning it */
+  readLessLabel?: string | ReadMoreLabelFunction;
+  /** Locale for the default labels, e.g. 'de' or 'pt-BR', or 'auto' for the closest lang attribute (default: 'en') */
+  locale?: string;
+  /** Rich "read more" content: an HTML string or a node to clone (overrides readMoreLabel) */
+  readMoreContent?: string | Node;
+  /** Rich "read less" content: an HTML string or a node to clone (overrides readLessLabel) */
+  readLessContent?: string | Node;
+  /** HTML string for the button, or a function returning the button element for a state */
+  buttonTemplate?: string | ((state: ReadMoreButtonState) => HTMLElement);
+  /** Existing element to use as the toggle; it is not moved and is left in place on destroy */
+  buttonElement?: HTMLElement;
+  /** Where to put the button: 'after' or 'before' the target, 'inline' over the last visible line, or a container element or selector (default: 'after') */
+  placement?: ReadMorePlacement;
   /** CSS class to apply to the target element (must be a string if provided) */
   targetClass?: string;
   /** CSS class to apply to the toggle link (must be a string if provided) */
   linkClass?: string;
-  /** Maximum number of lines to show before truncating (must be a positive integer if provided) */
-  linesLimit?: number;
+  /**
+   * Maximum number of lines to show before truncating (must be a positive integer if provided),
+   * or a breakpoint map keyed by min-width in pixels or by media query, e.g. { 0: 3, 768: 6, 1200: 10 }
+   */
+  linesLimit?: number | ReadMoreBreakpoints;
+  /** Truncation mode (default: 'lines') */
+  mode?: ReadMoreMode;
+  /** Maximum height in pixels or as a CSS length such as '10rem' (required in height mode) */
+  heightLimit?: number | string;
+  /** Number of characters to show (required in chars mode, must be a positive integer) */
+  charsLimit?: number;
+  /** Number of words to show (required in words mode, must be a positive integer) */
+  wordsLimit?: number;
+  /** Re-check truncation automatically when the target's content changes (default: false) */
+  observeMutations?: boolean;
+  /** Fade out the last visible lines with a gradient mask while collapsed (default: false) */
+  fade?: boolean | ReadMoreFadeOptions;
+  /** Custom line counting for lines mode: returns the number of lines in the target element */
+  measure?: (element: HTMLElement) => number;
+  /** Prefix for the id generated for a target element without one (default: 'readmore-content') */
+  idPrefix?: string;
+  /** Animate height when toggling; true for defaults or an object with settings (default: false) */
+  animate?: boolean | ReadMoreAnimationOptions;
+  /** Accordion group name or object; expanding one member collapses the others */
+  group?: string | ReadMoreGroup;
+  /** Persist the expanded state: 'session', 'local' or a custom adapter */
+  persist?: 'session' | 'local' | ReadMoreStorageAdapter;
+  /** Key for the persisted state (defaults to the target element's id) */
+  stateKey?: string;
+  /** Expand when the URL hash targets the content or an element inside it (default: false) */
+  deepLink?: boolean | ReadMoreDeepLinkOptions;
+  /** Expand when keyboard focus or find-in-page lands in the hidden part of the content (default: false) */
+  autoExpand?: boolean;
+  /** Add the styles as a constructed stylesheet (adoptedStyleSheets) where supported (default: false) */
+  adoptStyles?: boolean;
+  /** Add the styles at runtime; false relies on the static stylesheet src/readmore.css (default: true) */
+  injectStyles?: boolean;
+  /** Nonce for injected style elements, for a Content-Security-Policy without 'unsafe-inline' */
+  cspNonce?: string;
+  /** Descriptive labels, live announcements and focus management; true for defaults (default: false) */
+  a11y?: boolean | ReadMoreA11yOptions;
+  /** Called before expanding; return false to cancel */
+  onBeforeExpand?: (instance: ReadMoreInstance) => boolean | void;
+  /** Called after expanding */
+  onExpand?: (instance: ReadMoreInstance) => void;
+  /** Called before collapsing; return false to cancel */
+  onBeforeCollapse?: (instance: ReadMoreInstance) => boolean | void;
+  /** Called after collapsing */
+  onCollapse?: (instance: ReadMoreInstance) => void;
+  /** Called once initialization completes */
+  onInit?: (instance: ReadMoreInstance) => void;
+  /** Called before the instance is destroyed */
+  onDestroy?: (instance: ReadMoreInstance) => void;
+  /** Throw a ReadMoreError instead of logging when initialization fails (default: false) */
+  strict?: boolean;
+  /** Called with the ReadMoreError when initialization fails in non-strict mode */
+  onError?: (error: ReadMoreError) => void;
+}
+
+/**
+ * Machine-readable error codes carried by ReadMoreError
+ */
+export type ReadMoreErrorCode =
+  | 'INVALID_TARGET'
+  | 'NO_PARENT'
+  | 'INVALID_LINES_LIMIT'
+  | 'INVALID_OPTION'
+  | 'ALREADY_INITIALIZED'
+  | 'INSERT_FAILED';
+
+/**
+ * Map of all error codes
+ */
+export const READMORE_ERROR_CODES: Readonly<{ [K in ReadMoreErrorCode]: K }>;
+
+/**
+ * Error raised by readmore() in strict mode and passed to the onError hook otherwise
+ */
+export class ReadMoreError extends Error {
+  constructor(code: ReadMoreErrorCode, message: string, cause?: unknown);
+  readonly name: 'ReadMoreError';
+  readonly code: ReadMoreErrorCode;
+  readonly cause?: unknown;
 }
 
+/**
+ * Custom storage for persisted state. Values are 'expanded' or 'collapsed'.
+ */
+export interface ReadMoreStorageAdapter {
+  get(key: string): string | null | undefined;
+  set(key: string, value: 'expanded' | 'collapsed'): void;
+  /** Used by destroyReadMore(element, { clearState: true }) */
+  remove?(key: string): void;
+}
+
+/**
+ * State passed to a buttonTemplate function
+ */
+export interface ReadMoreButtonState {
+  /** Whether the content is expanded */
+  expanded: boolean;
+  /** The plain label for this state (readMoreLabel or readLessLabel) */
+  label: string;
+}
+
+/**
+ * Settings for expanding content targeted by the URL hash
+ */
+export interface ReadMoreDeepLinkOptions {
+  /** Scroll the targeted element into view after expanding, or scrollIntoView options (default: true) */
+  scroll?: boolean | ScrollIntoViewOptions;
+  /** Point the URL hash at the target element when the user expands it (default: false) */
+  updateHash?: boolean;
+}
+
+/**
+ * Options for toggling the content
+ */
+export interface ReadMoreToggleOptions {
+  /** Set to false to skip the configured animation (default: true) */
+  animate?: boolean;
+}
+
+/**
+ * Options for destroying an instance
+ */
+export interface ReadMoreDestroyOptions {
+  /** Also remove the persisted expanded/collapsed state (default: false) */
+  clearState?: boolean;
+}
+
+/**
+ * Settings for the accessibility enhancements
+ */
+export interface ReadMoreA11yOptions {
+  /** What the content is about, appended to the button's aria-label ("Read more: <label>") */
+  label?: string;
+  /** Without a label, point aria-describedby at the content's heading (default: true) */
+  heading?: boolean;
+  /** Announce expanding and collapsing in a polite live region (default: true) */
+  announce?: boolean;
+  /** Focus after a user toggle: 'button', 'content' or false to leave it (default: 'button') */
+  focus?: 'button' | 'content' | false;
+  /** Announcement texts; expandedLines may contain {count} or be a function of the count */
+  messages?: {
+    expanded?: string;
+    expandedLines?: string | ((context: ReadMoreMessageContext) => string);
+    collapsed?: string;
+  };
+}
+
+/**
+ * Settings for the collapsed-state fade
+ */
+export interface ReadMoreFadeOptions {
+  /** Gradient height in pixels or as a CSS length (default: the --readmore-fade-height custom property, 3em) */
+  height?: number | string;
+}
+
+/**
+ * Settings for animated expand/collapse transitions
+ */
+export interface ReadMoreAnimationOptions {
+  /** Transition duration in milliseconds (default: 300) */
+  duration?: number;
+  /** CSS timing function for the transition (default: 'ease') */
+  easing?: string;
+}
+
+/**
+ * Detail of the `readmore:*` CustomEvents dispatched on the target element
+ */
+export interface ReadMoreEventDetail {
+  instance: ReadMoreInstance;
+}
+
+/**
+ * Lifecycle event names; dispatched as `readmore:<name>`. The `before*` events are cancelable.
+ */
+export type ReadMoreEventName = 'beforeexpand' | 'expand' | 'beforecollapse' | 'collapse' | 'init' | 'destroy';
+
 /**
  * Main function that implements the "read more/read less" functionality.
  * This function truncates long text content and adds a toggle link to expand/collapse the content.
@@ -24,14 +270,15 @@ export interface ReadMoreOptions {
  * - CSS styles are cached to prevent duplicate additions
  * - Line height calculations are cached per element
  * - Uses WeakMap for automatic garbage collection of cached values
+ * - Resize re-evaluation is batched per animation frame via ResizeObserver
  * 
  * @param options - Configuration object for the readmore functionality
- * @returns void Returns early with error logging if validation fails
- * @throws Error Logs errors to console for invalid inputs
+ * @returns The instance (its isTruncated is false while the content fits), or null if initialization failed
+ * @throws ReadMoreError In strict mode, for invalid inputs or an already initialized element
  * 
  * @example
  * // Basic usage
- * readmore({
+ * const instance = readmore({
  *     targetElement: document.getElementById('my-text'),
  *     linesLimit: 5
  * });
@@ -45,15 +292,90 @@ export interface ReadMoreOptions {
  *     linesLimit: 3
  * });
  */
-export function readmore(options: ReadMoreOptions): void;
+export function readmore(options: ReadMoreOptions): ReadMoreInstance | null;
+
+/**
+ * Targets accepted by readmoreAll()
+ */
+export type ReadMoreTargets = string | HTMLElement | NodeListOf<HTMLElement> | HTMLCollection | ArrayLike<HTMLElement>;
+
+/**
+ * Applies readmore functionality to multiple elements with shared options.
+ * Elements that already have a readmore instance are skipped.
+ * 
+ * @param targets - CSS selector, element or list of elements
+ * @param options - Shared options, same as readmore() without targetElement
+ * @returns Controller for the created instances
+ */
+export function readmoreAll(targets: ReadMoreTargets, options?: Omit<ReadMoreOptions, 'targetElement'>): ReadMoreCollection;
+
+/**
+ * Options for autoInit()
+ */
+export interface ReadMoreAutoInitOptions extends Omit<ReadMoreOptions, 'targetElement'> {
+  /** Element to scan for matching elements (default: document) */
+  root?: Document | HTMLElement;
+  /** Keep watching root for newly inserted matching elements (default: false) */
+  observe?: boolean;
+}
+
+/**
+ * Initializes readmore on every `[data-readmore-lines]` element, reading per-element options
+ * from data attributes (`data-readmore-lines-limit`, `data-readmore-more-label`,
+ * `data-readmore-less-label`, `data-readmore-target-class`, `data-readmore-link-class`,
+ * `data-readmore-mode`, `data-readmore-height-limit`, `data-readmore-chars-limit`,
+ * `data-readmore-words-limit`, `data-readmore-observe-mutations`, `data-readmore-animate`,
+ * `data-readmore-group`, `data-readmore-persist`, `data-readmore-state-key`,
+ * `data-readmore-deep-link`, `data-readmore-auto-expand`,
+ * `data-readmore-placement`, `data-readmore-fade`, `data-readmore-a11y`, `data-readmore-locale`).
+ * Data attributes take precedence over the shared options.
+ * 
+ * @param options - Shared options plus root and observe settings
+ * @returns Controller for the created instances; destroy() also stops watching
+ */
+export function autoInit(options?: ReadMoreAutoInitOptions): ReadMoreCollection;
+
+/**
+ * Creates an accordion group. Named groups can also be joined by passing the name
+ * as the `group` option.
+ * 
+ * @param name - Optional group name to register the group under
+ * @returns The group (an existing one if the name is already registered)
+ */
+export function createReadMoreGroup(name?: string): ReadMoreGroup;
+
+/**
+ * Gets a named accordion group.
+ * 
+ * @param name - The group name
+ * @returns The group or null if no instance has joined it
+ */
+export function getReadMoreGroup(name: string): ReadMoreGroup | null;
 
 /**
  * Destroys a readmore instance and cleans up all associated resources.
  * 
  * @param targetElement - The target element that had readmore functionality
+ * @param options - Destroy options
  * @returns True if instance was found and destroyed, false otherwise
  */
-export function destroyReadMore(targetElement: HTMLElement): boolean;
+export function destroyReadMore(targetElement: HTMLElement, options?: ReadMoreDestroyOptions): boolean;
+
+/**
+ * Expands the content of an element with an active readmore instance.
+ * 
+ * @param targetElement - The target element that has readmore functionality
+ * @returns True if the content was expanded, false otherwise
+ */
+export function expandReadMore(targetElement: HTMLElement): boolean;
+
+/**
+ * Collapses the content of an element with an active readmore instance.
+ * 
+ * @param targetElement - The target element that has readmore functionality
+ * @returns True if the content was collapsed, false otherwise
+ */
+export function collapseReadMore(targetElement: HTMLElement): boolean;
 
 /**
  * Checks if an element has an active readmore instance.
@@ -72,7 +394,8 @@ export function hasReadMoreInstance(targetElement: HTMLElement): boolean;
 export function getReadMoreInstance(targetElement: HTMLElement): ReadMoreInstance | null;
 
 /**
- * Clears the CSS cache and removes all readmore styles from the document.
+ * Clears the CSS cache and removes all readmore styles from the document
+ * and from every shadow root or frame document styles were added to.
  * This function can be used to reset the library state.
  * 
  * @returns void
@@ -83,9 +406,10 @@ export function clearReadMoreCache(): void;
  * Checks if CSS styles for a specific configuration are already cached.
  * 
  * @param cacheKey - The cache key to check
+ * @param root - The document or shadow root the styles were added to (default: document)
  * @returns True if styles are cached, false otherwise
  */
-export function isStyleCached(cacheKey: string): boolean;
+export function isStyleCached(cacheKey: string, root?: Document | ShadowRoot): boolean;
 
 /**
  * Checks if line height is cached for a specific element.
@@ -113,18 +437,177 @@ export function invalidateLineHeightCache(element: HTMLElement): void;
  */
 export function invalidateStyleCache(element: HTMLElement): void;
 
+/**
+ * Counts the rendered lines of an element: its height without padding and borders divided by its line height.
+ * 
+ * @param element - The element to measure
+ * @returns The number of lines, or NaN if unable to calculate
+ */
+export function countLines(element: HTMLElement): number;
+
+/**
+ * Gets the line height of an element in pixels, resolving `normal` and unitless values.
+ * Results share the cache used by readmore().
+ * 
+ * @param element - The element to measure
+ * @returns The line height in pixels, or NaN if unable to determine
+ */
+export function getLineHeight(element: HTMLElement): number;
+
+/**
+ * Limit options accepted by wouldTruncate()
+ */
+export type ReadMoreLimitOptions = Pick<ReadMoreOptions, 'mode' | 'linesLimit' | 'heightLimit' | 'charsLimit' | 'wordsLimit' | 'measure'>;
+
+/**
+ * Checks whether readmore() would truncate an element with the given options, without initializing it.
+ * For an element that already has an instance, the instance's own configuration is used.
+ * 
+ * @param element - The element to check
+ * @param options - The readmore() limits
+ * @returns True if the content would be truncated (also when it cannot be measured)
+ */
+export function wouldTruncate(element: HTMLElement, options?: ReadMoreLimitOptions): boolean;
+
+/**
+ * Adds or replaces a locale bundle for the locale option. Names match case-insensitively,
+ * and 'pt-BR' falls back to 'pt' when only the base language is registered.
+ * 
+ * @param name - Language tag
+ * @param bundle - The locale's labels and announcement texts
+ * @returns True if the locale was registered, false for invalid input
+ */
+export function registerLocale(name: string, bundle: ReadMoreLocale): boolean;
+
 /**
  * ReadMore instance class for managing individual readmore functionality
  */
 export class ReadMoreInstance {
-  constructor(targetElement: HTMLElement, button: HTMLButtonElement, config: any);
+  constructor(targetElement: HTMLElement, button: HTMLElement, config: any);
   addEventListener(type: string, listener: EventListener): void;
   removeAllEventListeners(): void;
-  destroy(): void;
+  /** Calls the lifecycle callback and dispatches `readmore:<name>`; returns false if cancelled */
+  emit(name: ReadMoreEventName): boolean;
+  /** Expands the truncated content; returns true if the state changed */
+  expand(options?: ReadMoreToggleOptions): boolean;
+  /** Collapses the content back to the line limit; returns true if the state changed */
+  collapse(options?: ReadMoreToggleOptions): boolean;
+  /** Toggles between expanded and collapsed states; returns true if the state changed */
+  toggle(): boolean;
+  /** Checks whether toggling should be animated, honoring prefers-reduced-motion */
+  shouldAnimate(): boolean;
+  /** Transitions the target's max-height between two pixel values */
+  animateHeight(fromHeight: number, toHeight: number, onComplete: () => void): void;
+  /** Applies or lifts truncation on the target element */
+  applyTruncation(collapsed: boolean): void;
+  /** Writes the expanded/collapsed state to the configured persistence storage */
+  saveState(): void;
+  /** Expands the content without animation if the persisted state says it was expanded */
+  restoreState(): void;
+  /** Removes the persisted state for this instance */
+  clearState(): void;
+  /** Finds the element a URL hash points to if it is the target or inside it */
+  findHashTarget(hash: string): Element | null;
+  /** Expands the content and scrolls it into view if the URL hash targets it */
+  revealHash(hash?: string): boolean;
+  /** Points the URL hash at the target element if deepLink.updateHash is set */
+  updateHash(): void;
+  /** Starts listening for hashchange to reveal content the new hash points to */
+  observeHash(): void;
+  /** Starts expanding the content when focus or find-in-page lands in the hidden part */
+  observeReveal(): void;
+  /** Syncs the button content and aria-expanded attribute with the current state */
+  updateButton(): void;
+  /** Gives the target element a generated id if it has none */
+  ensureTargetId(): void;
+  /** Finds the describing heading and adds the live region if the a11y option is set */
+  setupAccessibility(): void;
+  /** Announces the current state in the live region */
+  announceState(): void;
+  /** Moves focus after a user toggle according to a11y.focus */
+  moveFocus(): void;
+  /** Counts the lines beyond the limit in lines and rich modes (NaN otherwise) */
+  countHiddenLines(): number;
+  /** Resolves the button label for a state, calling label functions */
+  getLabel(expanded?: boolean): string;
+  /** Sets the class and accessibility attributes the toggle button needs */
+  prepareButton(): void;
+  /** Inserts the toggle button according to the placement option */
+  insertButton(): void;
+  /** Swaps in a newly rendered button, moving event listeners and focus over to it */
+  replaceButton(button: HTMLElement): void;
+  /** Restores an existing buttonElement to how it was before initialization */
+  restoreButton(): void;
+  /** Checks whether the content exceeds the configured limit */
+  isTruncationNeeded(): boolean;
+  /** Recounts lines and adds or removes the toggle button as needed */
+  refresh(): void;
+  /** Sets the mode and limit custom properties the static stylesheet reads (injectStyles: false) */
+  setStyleProperties(): void;
+  /** Schedules a refresh on the next animation frame */
+  scheduleRefresh(): void;
+  /** Starts observing the target and its parent for size changes */
+  observeResize(): void;
+  /** Starts observing the target's content for changes */
+  observeContent(): void;
+  /** Re-checks truncation whenever the active linesLimit breakpoint changes */
+  observeBreakpoints(): void;
+  destroy(options?: ReadMoreDestroyOptions): void;
   readonly targetElement: HTMLElement;
-  readonly button: HTMLButtonElement;
+  /** The toggle button (replaced when a function buttonTemplate renders a new element) */
+  readonly button: HTMLElement;
+  /** False when the button is an existing buttonElement that destroy() leaves in place */
+  readonly ownsButton: boolean;
+  /** Whether the target's id was generated by the library (removed again on destroy) */
+  readonly generatedId: boolean;
+  /** The document or shadow root the instance's styles are added to */
+  readonly styleRoot: Document | ShadowRoot;
+  /** The polite live region used for announcements, if enabled */
+  readonly liveRegion: HTMLElement | null;
   readonly config: any;
   readonly isDestroyed: boolean;
+  /** Whether the toggle button is currently attached */
+  readonly isTruncated: boolean;
+  /** Whether the content is currently expanded */
+  readonly isExpanded: boolean;
+  /** Whether a height transition is currently running */
+  readonly isAnimating: boolean;
+  /** The accordion group the instance belongs to */
+  readonly group: ReadMoreGroup | null;
+}
+
+/**
+ * Controller for a set of readmore instances created together by readmoreAll()
+ */
+export class ReadMoreCollection {
+  constructor(instances: ReadMoreInstance[]);
+  /** Expands every instance; returns the number of instances whose state changed */
+  expandAll(): number;
+  /** Collapses every instance; returns the number of instances whose state changed */
+  collapseAll(): number;
+  /** Destroys every instance in the collection and empties it; also stops autoInit() watching */
+  destroy(): void;
+  readonly instances: ReadMoreInstance[];
+  /** Observer watching for new elements when created by autoInit() with observe */
+  readonly observer: MutationObserver | null;
+  /** The target elements of the instances in this collection */
+  readonly elements: HTMLElement[];
+}
+
+/**
+ * Accordion group: expanding one member collapses the others
+ */
+export class ReadMoreGroup extends ReadMoreCollection {
+  constructor(name?: string | null);
+  readonly name: string | null;
+  /** The currently expanded member, if any */
+  readonly expandedMember: ReadMoreInstance | null;
+  /** Adds an instance to the group */
+  add(instance: ReadMoreInstance): void;
+  /** Removes an instance from the group; named groups are unregistered once empty */
+  remove(instance: ReadMoreInstance): void;
+  /** Collapses every member except the given one */
+  collapseOthers(expandedInstance: ReadMoreInstance): void;
 }
 
 // Default export
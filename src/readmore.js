@@ -7,8 +7,15 @@
  * @since 2025
  */
 
-// Global cache to track added CSS styles
-const CSS_CACHE = new Set();
+// Added CSS styles per root (document or shadow root): cache key → <style> element or constructed CSSStyleSheet.
+// Keyed weakly, so web components and frames removed without destroyReadMore() can still be garbage collected
+const CSS_CACHE = new WeakMap();
+
+// Weak references to the roots in CSS_CACHE, for clearReadMoreCache(); empty where WeakRef is not supported
+const CSS_CACHE_ROOTS = new Set();
+
+// Number of instances using each added <style> element or constructed stylesheet
+const STYLE_REFERENCES = new WeakMap();
 
 // Global cache to store computed line heights for elements
 const LINE_HEIGHT_CACHE = new WeakMap();
@@ -16,253 +23,2914 @@ const LINE_HEIGHT_CACHE = new WeakMap();
 // Instance management - track active readmore instances
 const READMORE_INSTANCES = new WeakMap();
 
+// Named accordion groups shared between instances
+const READMORE_GROUPS = new Map();
+
+// Counter for ids generated for target elements; only ever increases
+let idCounter = 0;
+
+// Default settings for animated expand/collapse transitions
+const ANIMATION_DEFAULTS = {
+    duration: 300,
+    easing: 'ease'
+};
+
+// Supported truncation modes; chars and words modes shorten the content itself,
+// rich mode measures rendered line boxes and clips at the last visible one
+const TRUNCATION_MODES = ['lines', 'height', 'chars', 'words', 'rich'];
+const TEXT_MODES = ['chars', 'words'];
+
+// Elements measured as a single box in rich mode instead of by their text
+const REPLACED_ELEMENTS = 'img, svg, video, audio, canvas, iframe, object, embed, input, select, textarea, button';
+
+// Toggle button positions relative to the target; a container element or selector is also accepted
+const PLACEMENTS = ['after', 'before', 'inline'];
+
+// Appended to content shortened in chars and words modes
+const TEXT_ELLIPSIS = '\u2026';
+
+// Label and announcement bundles for the locale option, keyed by lowercase language tag; extended with registerLocale().
+// expandedLines is a string with {count} or a function picking plural forms like the label functions
+const LOCALES = new Map(Object.entries({
+    en: {
+        readMore: 'Read more...',
+        readLess: 'Read less',
+        messages: { expanded: 'Expanded', expandedLines: ({ count, plural }) => `Expanded, ${count} more ${plural({ one: 'line', other: 'lines' })}`, collapsed: 'Collapsed' }
+    },
+    de: {
+        readMore: 'Mehr lesen...',
+        readLess: 'Weniger anzeigen',
+        messages: { expanded: 'Ausgeklappt', expandedLines: ({ count, plural }) => `Ausgeklappt, ${count} weitere ${plural({ one: 'Zeile', other: 'Zeilen' })}`, collapsed: 'Eingeklappt' }
+    },
+    fr: {
+        readMore: 'Lire la suite...',
+        readLess: 'Réduire',
+        messages: { expanded: 'Développé', expandedLines: ({ count, plural }) => `Développé, ${count} ${plural({ one: 'ligne', other: 'lignes' })} de plus`, collapsed: 'Réduit' }
+    },
+    es: {
+        readMore: 'Leer más...',
+        readLess: 'Leer menos',
+        messages: { expanded: 'Expandido', expandedLines: ({ count, plural }) => `Expandido, ${count} ${plural({ one: 'línea', other: 'líneas' })} más`, collapsed: 'Contraído' }
+    },
+    it: {
+        readMore: 'Leggi di più...',
+        readLess: 'Mostra meno',
+        messages: { expanded: 'Espanso', expandedLines: ({ count, plural }) => `Espanso, ${count} ${plural({ one: 'riga', other: 'righe' })} in più`, collapsed: 'Compresso' }
+    },
+    pt: {
+        readMore: 'Ler mais...',
+        readLess: 'Ler menos',
+        messages: { expanded: 'Expandido', expandedLines: ({ count, plural }) => `Expandido, mais ${count} ${plural({ one: 'linha', other: 'linhas' })}`, collapsed: 'Recolhido' }
+    },
+    nl: {
+        readMore: 'Lees meer...',
+        readLess: 'Lees minder',
+        messages: { expanded: 'Uitgevouwen', expandedLines: ({ count, plural }) => `Uitgevouwen, nog ${count} ${plural({ one: 'regel', other: 'regels' })}`, collapsed: 'Ingevouwen' }
+    },
+    pl: {
+        readMore: 'Czytaj więcej...',
+        readLess: 'Zwiń',
+        messages: { expanded: 'Rozwinięto', expandedLines: ({ count, plural }) => `Rozwinięto, jeszcze ${count} ${plural({ one: 'wiersz', few: 'wiersze', many: 'wierszy', other: 'wiersza' })}`, collapsed: 'Zwinięto' }
+    },
+    ru: {
+        readMore: 'Читать далее...',
+        readLess: 'Свернуть',
+        messages: { expanded: 'Развёрнуто', expandedLines: ({ count, plural }) => `Развёрнуто, ещё ${count} ${plural({ one: 'строка', few: 'строки', many: 'строк', other: 'строки' })}`, collapsed: 'Свёрнуто' }
+    },
+    ja: {
+        readMore: '続きを読む...',
+        readLess: '閉じる',
+        messages: { expanded: '展開しました', expandedLines: '展開しました、残り{count}行', collapsed: '折りたたみました' }
+    },
+    zh: {
+        readMore: '阅读更多...',
+        readLess: '收起',
+        messages: { expanded: '已展开', expandedLines: '已展开，还有 {count} 行', collapsed: '已收起' }
+    },
+    ar: {
+        readMore: 'اقرأ المزيد...',
+        readLess: 'عرض أقل',
+        messages: { expanded: 'تم التوسيع', expandedLines: ({ count, plural }) => `تم التوسيع، ${plural({ one: 'سطر إضافي واحد', two: 'سطران إضافيان', few: `${count} أسطر إضافية`, many: `${count} سطرًا إضافيًا`, other: `${count} سطر إضافي` })}`, collapsed: 'تم الطي' }
+    }
+}));
+
+// Locale used when none is given or the requested one is not registered
+const DEFAULT_LOCALE = 'en';
+
+// Selector for elements initialized declaratively by autoInit()
+const AUTO_INIT_SELECTOR = '[data-readmore-lines]';
+
+// Data attributes read by autoInit(), keyed by their dataset name
+const DATA_ATTRIBUTE_OPTIONS = {
+    readmoreLinesLimit: ['linesLimit', value => (value.trim().startsWith('{') ? parseJSON(value) : Number(value))],
+    readmoreMoreLabel: ['readMoreLabel', value => value],
+    readmoreLessLabel: ['readLessLabel', value => value],
+    readmoreTargetClass: ['targetClass', value => value],
+    readmoreLinkClass: ['linkClass', value => value],
+    readmoreMode: ['mode', value => value],
+    readmoreHeightLimit: ['heightLimit', value => (/^\d*\.?\d+$/.test(value) ? Number(value) : value)],
+    readmoreCharsLimit: ['charsLimit', value => Number(value)],
+    readmoreWordsLimit: ['wordsLimit', value => Number(value)],
+    readmoreObserveMutations: ['observeMutations', value => value !== 'false'],
+    readmoreAnimate: ['animate', value => value !== 'false'],
+    readmoreGroup: ['group', value => value],
+    readmorePersist: ['persist', value => value],
+    readmoreStateKey: ['stateKey', value => value],
+    readmoreDeepLink: ['deepLink', value => value !== 'false'],
+    readmoreAutoExpand: ['autoExpand', value => value !== 'false'],
+    readmorePlacement: ['placement', value => value],
+    readmoreFade: ['fade', value => value !== 'false'],
+    readmoreLocale: ['locale', value => value],
+    readmoreA11y: ['a11y', value => value !== 'false']
+};
+
+// Attributes set on an existing buttonElement, restored on destroy
+const BUTTON_ATTRIBUTES = ['aria-expanded', 'aria-controls', 'aria-label', 'aria-describedby', 'role', 'tabindex', 'hidden'];
+
+// Default settings for the accessibility enhancements enabled with the a11y option
+const A11Y_DEFAULTS = {
+    label: null,
+    heading: true,
+    announce: true,
+    focus: 'button'
+};
+
+// Elements that can describe the content for the a11y option
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+
+// Hides the live region visually while keeping it available to screen readers
+const VISUALLY_HIDDEN_STYLE = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; ' +
+    'border: 0; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap;';
+
+// Default settings for expanding content targeted by the URL hash
+const DEEP_LINK_DEFAULTS = {
+    scroll: true,
+    updateHash: false
+};
+
+// Prefix for keys of persisted expanded/collapsed state
+const STATE_KEY_PREFIX = 'readmore-lines:';
+
+// Lifecycle event names mapped to their callback options
+const LIFECYCLE_CALLBACKS = {
+    beforeexpand: 'onBeforeExpand',
+    expand: 'onExpand',
+    beforecollapse: 'onBeforeCollapse',
+    collapse: 'onCollapse',
+    init: 'onInit',
+    destroy: 'onDestroy'
+};
+
+// Machine-readable codes carried by ReadMoreError
+const ERROR_CODES = Object.freeze({
+    INVALID_TARGET: 'INVALID_TARGET',
+    NO_PARENT: 'NO_PARENT',
+    INVALID_LINES_LIMIT: 'INVALID_LINES_LIMIT',
+    INVALID_OPTION: 'INVALID_OPTION',
+    ALREADY_INITIALIZED: 'ALREADY_INITIALIZED',
+    INSERT_FAILED: 'INSERT_FAILED'
+});
+
+/**
+ * Error raised by readmore() in strict mode and passed to the onError hook otherwise
+ */
+class ReadMoreError extends Error {
+    constructor(code, message, cause) {
+        super(message);
+        this.name = 'ReadMoreError';
+        this.code = code;
+        if (cause !== undefined) {
+            this.cause = cause;
+        }
+    }
+}
+
+/**
+ * Instance data structure for tracking readmore instances
+ */
+class ReadMoreInstance {
+    constructor(targetElement, button, config) {
+        this.targetElement = targetElement;
+        this.button = button;
+        this.config = config;
+        this.styleRoot = getStyleRoot(targetElement);
+        this.view = getView(targetElement);
+        this.generatedId = false;
+        this.describedBy = null;
+        this.generatedHeadingId = false;
+        this.liveRegion = null;
+        this.addedTabIndex = false;
+        this.ownsButton = !config.buttonElement;
+        this.buttonSnapshot = this.ownsButton ? null : snapshotButton(button);
+        this.eventListeners = new Map();
+        this.isDestroyed = false;
+        this.isTruncated = false;
+        this.expanded = false;
+        this.isAnimating = false;
+        this.finishAnimation = null;
+        this.originalContent = null;
+        this.preview = null;
+        this.hiddenOverflow = null;
+        this.mediaQueryLists = [];
+        this.breakpointHandler = null;
+        this.group = null;
+        this.hashChangeHandler = null;
+        this.revealHandlers = null;
+        this.resizeObserver = null;
+        this.mutationObserver = null;
+        this.refreshFrame = null;
+    }
+
+    addEventListener(type, listener) {
+        this.button.addEventListener(type, listener);
+        this.eventListeners.set(type, listener);
+    }
+
+    removeAllEventListeners() {
+        this.eventListeners.forEach((listener, type) => {
+            this.button.removeEventListener(type, listener);
+        });
+        this.eventListeners.clear();
+    }
+
+    /**
+     * Calls the matching lifecycle callback and dispatches a `readmore:<name>` CustomEvent
+     * on the target element. Events named `before*` are cancelable, and are not dispatched
+     * once the callback has cancelled the change.
+     *
+     * @param {string} name - Lifecycle event name (a key of LIFECYCLE_CALLBACKS)
+     * @returns {boolean} False if a "before" callback returned false or the event was prevented
+     */
+    emit(name) {
+        const cancelable = name.startsWith('before');
+        const callback = this.config[LIFECYCLE_CALLBACKS[name]];
+
+        if (callback) {
+            try {
+                if (callback(this) === false && cancelable) {
+                    return false;
+                }
+            } catch (error) {
+                console.error(`ReadMore: ${LIFECYCLE_CALLBACKS[name]} callback failed`, error);
+            }
+        }
+
+        const event = new CustomEvent(`readmore:${name}`, {
+            bubbles: true,
+            cancelable,
+            detail: { instance: this }
+        });
+
+        return this.targetElement.dispatchEvent(event);
+    }
+
+    /**
+     * Whether the content is currently expanded.
+     * Always false while the content fits and no toggle button is shown.
+     *
+     * @returns {boolean}
+     */
+    get isExpanded() {
+        return this.isTruncated && this.expanded;
+    }
+
+    /**
+     * Checks whether toggling should be animated, honoring prefers-reduced-motion.
+     *
+     * @returns {boolean}
+     */
+    shouldAnimate() {
+        const { animate } = this.config;
+        if (!animate || animate.duration <= 0) return false;
+
+        const { view } = this;
+        return !(typeof view.matchMedia === 'function' &&
+            view.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    /**
+     * Transitions the target's max-height between two pixel values.
+     * Inline styles touched by the animation are restored once it completes.
+     *
+     * @param {number} fromHeight - Starting height in pixels
+     * @param {number} toHeight - Final height in pixels
+     * @param {Function} onComplete - Called after the transition ends
+     */
+    animateHeight(fromHeight, toHeight, onComplete) {
+        const { targetElement } = this;
+        const { duration, easing } = this.config.animate;
+        const { style } = targetElement;
+        const previousStyles = {
+            maxHeight: style.maxHeight,
+            overflow: style.overflow,
+            transition: style.transition
+        };
+
+        this.isAnimating = true;
+        style.overflow = 'hidden';
+        style.maxHeight = `${fromHeight}px`;
+
+        // Force a reflow so the starting height applies before the transition starts
+        void targetElement.offsetHeight;
+
+        style.transition = `max-height ${duration}ms ${easing}`;
+        style.maxHeight = `${toHeight}px`;
+
+        let timer = null;
+
+        const onTransitionEnd = (event) => {
+            if (event.target === targetElement && event.propertyName === 'max-height') {
+                finish();
+            }
+        };
+
+        const finish = () => {
+            targetElement.removeEventListener('transitionend', onTransitionEnd);
+            clearTimeout(timer);
+            Object.assign(style, previousStyles);
+            this.isAnimating = false;
+            this.finishAnimation = null;
+            onComplete();
+        };
+
+        targetElement.addEventListener('transitionend', onTransitionEnd);
+
+        // Fallback in case transitionend never fires (hidden element, no layout)
+        timer = setTimeout(finish, duration + 50);
+        this.finishAnimation = finish;
+    }
+
+    /**
+     * Applies or lifts truncation on the target element.
+     * Lines, height and rich modes toggle the truncation class; chars and words modes also swap
+     * the content for a shortened copy, keeping the original nodes to restore them exactly.
+     * With autoExpand, clamp modes mark the clipped content hidden="until-found" in place
+     * so find-in-page can reveal it.
+     *
+     * @param {boolean} collapsed - Whether to show the truncated view
+     */
+    applyTruncation(collapsed) {
+        const { targetElement, config } = this;
+        targetElement.classList.toggle(config.targetClass, collapsed);
+
+        if (collapsed) {
+            if (TEXT_MODES.includes(config.mode)) {
+                if (!this.originalContent) {
+                    this.splitContent(findTextCut(targetElement, config.mode, getTextLimit(config)));
+                }
+            } else if (!this.hiddenOverflow && config.autoExpand && supportsHiddenUntilFound()) {
+                this.hideOverflow(findOverflowCut(targetElement));
+            }
+        } else if (this.originalContent) {
+            this.restoreContent();
+        } else if (this.hiddenOverflow) {
+            this.revealOverflow();
+        }
+    }
+
+    /**
+     * Replaces the content with a copy that ends at the cut point and an ellipsis, keeping the
+     * original nodes. With autoExpand the text after the cut follows in a hidden="until-found"
+     * element, so find-in-page can match it.
+     *
+     * @param {{node: Text, offset: number}|null} cut - Where the visible text ends; nothing is split without one
+     */
+    splitContent(cut) {
+        if (!cut) return;
+
+        const { targetElement, config } = this;
+        const index = indexOfTextNode(targetElement, cut.node);
+        this.originalContent = Array.from(targetElement.childNodes);
+
+        const preview = document.createDocumentFragment();
+        this.originalContent.forEach(node => preview.appendChild(node.cloneNode(true)));
+        const last = keepTextBefore(preview, { node: getTextNode(preview, index), offset: cut.offset });
+        last.data = `${last.data.trimEnd()}${TEXT_ELLIPSIS}`;
+
+        // Remember which original each copy stands for, so outside changes can be replayed
+        this.preview = {
+            ...mapCopies(this.originalContent, Array.from(preview.childNodes)),
+            cut: last,
+            tail: cut.node.data.slice(cut.offset)
+        };
+
+        // Keep the cut-off text findable with find-in-page; revealing it fires beforematch
+        if (config.autoExpand && supportsHiddenUntilFound()) {
+            const rest = document.createElement('span');
+            rest.setAttribute('hidden', 'until-found');
+            rest.setAttribute('data-readmore-lines-rest', '');
+            this.originalContent.forEach(node => rest.appendChild(node.cloneNode(true)));
+            keepTextAfter(rest, { node: getTextNode(rest, index), offset: cut.offset });
+            rest.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+            preview.appendChild(rest);
+        }
+
+        targetElement.replaceChildren(preview);
+        this.dropOwnMutations();
+    }
+
+    /**
+     * Puts the original nodes back in place of the split copy.
+     */
+    restoreContent() {
+        this.targetElement.replaceChildren(...this.originalContent);
+        this.originalContent = null;
+        this.preview = null;
+        this.dropOwnMutations();
+    }
+
+    /**
+     * Marks the content below the clipped edge hidden="until-found" without replacing any node:
+     * elements get the attribute, runs of text and other nodes are wrapped in a span, and the
+     * text node at the cut is split in two. Elements that are already hidden are left alone.
+     *
+     * @param {{node: Text, offset: number}|null} cut - Where the clipped text starts; nothing is hidden without one
+     */
+    hideOverflow(cut) {
+        if (!cut) return;
+
+        const { targetElement } = this;
+        const hidden = { split: null, elements: [], wrappers: [] };
+        let current = cut.node;
+
+        if (cut.offset > 0) {
+            current = cut.node.splitText(cut.offset);
+            hidden.split = { head: cut.node, tail: current };
+        }
+
+        // The node at the cut and everything after it, then the following siblings of each ancestor
+        let sibling = current;
+        while (current !== targetElement) {
+            const parent = current.parentNode;
+            let wrapper = null;
+
+            while (sibling) {
+                const next = sibling.nextSibling;
+
+                if (isHTMLElement(sibling)) {
+                    if (!sibling.hasAttribute('hidden')) {
+                        sibling.setAttribute('hidden', 'until-found');
+                        sibling.setAttribute('data-readmore-lines-rest', '');
+                        hidden.elements.push(sibling);
+                    }
+                    wrapper = null;
+                } else {
+                    if (!wrapper) {
+                        wrapper = sibling.ownerDocument.createElement('span');
+                        wrapper.setAttribute('hidden', 'until-found');
+                        wrapper.setAttribute('data-readmore-lines-rest', '');
+                        parent.insertBefore(wrapper, sibling);
+                        hidden.wrappers.push(wrapper);
+                    }
+                    wrapper.appendChild(sibling);
+                }
+
+                sibling = next;
+            }
+
+            current = parent;
+            sibling = parent.nextSibling;
+        }
+
+        this.hiddenOverflow = hidden;
+        this.dropOwnMutations();
+    }
+
+    /**
+     * Undoes hideOverflow(): removes the attributes, unwraps the wrapped nodes and joins the
+     * text node split at the cut. Nodes removed in the meantime are skipped.
+     */
+    revealOverflow() {
+        const { split, elements, wrappers } = this.hiddenOverflow;
+
+        elements.forEach(element => {
+            element.removeAttribute('hidden');
+            element.removeAttribute('data-readmore-lines-rest');
+        });
+
+        wrappers.forEach(wrapper => {
+            if (wrapper.parentNode) {
+                wrapper.replaceWith(...wrapper.childNodes);
+            }
+        });
+
+        if (split && split.tail.previousSibling === split.head) {
+            split.head.appendData(split.tail.data);
+            split.tail.remove();
+        }
+
+        this.hiddenOverflow = null;
+        this.dropOwnMutations();
+    }
+
+    /**
+     * Runs a measurement on the full content. Content marked hidden="until-found" is not
+     * rendered, so clamp modes reveal it while measuring and hide it again after.
+     *
+     * @param {Function} measure - The measurement to run
+     * @returns {*} The measurement result
+     */
+    measureFullContent(measure) {
+        if (!this.hiddenOverflow) {
+            return measure();
+        }
+
+        this.revealOverflow();
+        try {
+            return measure();
+        } finally {
+            this.applyTruncation(true);
+        }
+    }
+
+    /**
+     * Drops records of our own content swaps so observeMutations does not react to them.
+     */
+    dropOwnMutations() {
+        if (this.mutationObserver) {
+            this.mutationObserver.takeRecords();
+        }
+    }
+
+    /**
+     * Expands the truncated content. Ignored while an animation is running.
+     *
+     * @param {Object} [options={}] - Expand options
+     * @param {boolean} [options.animate=true] - Set to false to skip the configured animation
+     * @returns {boolean} True if the state changed, false if already expanded, nothing is truncated or expansion was cancelled
+     */
+    expand({ animate = true } = {}) {
+        if (this.isDestroyed || this.isAnimating || !this.isTruncated || this.isExpanded) return false;
+        if (!this.emit('beforeexpand')) return false;
+
+        const { targetElement } = this;
+        this.expanded = true;
+        this.updateButton();
+
+        this.saveState();
+
+        // Accordion behavior: only one member of a group is expanded at a time
+        if (this.group) {
+            this.group.collapseOthers(this);
+        }
+
+        const animated = animate && this.shouldAnimate();
+        const collapsedHeight = animated ? targetElement.offsetHeight : 0;
+        this.applyTruncation(false);
+
+        // Announce before the animation so revealed lines are measured at full height
+        this.announceState();
+
+        if (animated) {
+            this.animateHeight(collapsedHeight, targetElement.scrollHeight, () => this.emit('expand'));
+        } else {
+            this.emit('expand');
+        }
+
+        return true;
+    }
+
+    /**
+     * Collapses the content back to the configured limit. Ignored while an animation is running.
+     *
+     * @param {Object} [options={}] - Collapse options
+     * @param {boolean} [options.animate=true] - Set to false to skip the configured animation
+     * @returns {boolean} True if the state changed, false if already collapsed, nothing is truncated or collapse was cancelled
+     */
+    collapse({ animate = true } = {}) {
+        if (this.isDestroyed || this.isAnimating || !this.isTruncated || !this.isExpanded) return false;
+        if (!this.emit('beforecollapse')) return false;
+
+        const { targetElement, config } = this;
+        this.expanded = false;
+        this.updateButton();
+        this.saveState();
+        this.announceState();
+
+        // Keep focus from getting lost in content that is about to be hidden
+        if (config.a11y && config.a11y.focus && targetElement.contains(this.styleRoot.activeElement) && this.button.isConnected) {
+            this.button.focus();
+        }
+
+        if (animate && this.shouldAnimate()) {
+            // Measure the truncated height, then keep truncation off until the animation completes
+            const expandedHeight = targetElement.offsetHeight;
+            this.applyTruncation(true);
+            const collapsedHeight = targetElement.offsetHeight;
+            this.applyTruncation(false);
+
+            this.animateHeight(expandedHeight, collapsedHeight, () => {
+                this.applyTruncation(true);
+                this.emit('collapse');
+            });
+        } else {
+            this.applyTruncation(true);
+            this.emit('collapse');
+        }
+
+        return true;
+    }
+
+    /**
+     * Toggles between expanded and collapsed states.
+     *
+     * @returns {boolean} True if the state changed
+     */
+    toggle() {
+        return this.isExpanded ? this.collapse() : this.expand();
+    }
+
+    /**
+     * Writes the expanded/collapsed state to the configured persistence storage.
+     */
+    saveState() {
+        const { storage, stateKey } = this.config;
+        if (!storage) return;
+
+        try {
+            storage.set(STATE_KEY_PREFIX + stateKey, this.expanded ? 'expanded' : 'collapsed');
+        } catch (error) {
+            console.warn('ReadMore: Failed to persist state', error);
+        }
+    }
+
+    /**
+     * Expands the content without animation if the persisted state says it was expanded.
+     */
+    restoreState() {
+        const { storage, stateKey } = this.config;
+        if (!storage) return;
+
+        let state = null;
+        try {
+            state = storage.get(STATE_KEY_PREFIX + stateKey);
+        } catch (error) {
+            console.warn('ReadMore: Failed to read persisted state', error);
+        }
+
+        if (state === 'expanded') {
+            this.expand({ animate: false });
+        }
+    }
+
+    /**
+     * Removes the persisted state for this instance.
+     */
+    clearState() {
+        const { storage, stateKey } = this.config;
+        if (!storage || typeof storage.remove !== 'function') return;
+
+        try {
+            storage.remove(STATE_KEY_PREFIX + stateKey);
+        } catch (error) {
+            console.warn('ReadMore: Failed to clear persisted state', error);
+        }
+    }
+
+    /**
+     * Finds the element a URL hash points to if it is the target or inside it.
+     * In chars and words modes the original (detached) content is searched as well.
+     *
+     * @param {string} hash - The URL hash, e.g. '#section-3'
+     * @returns {Element|null} The matching element or null
+     */
+    findHashTarget(hash) {
+        let id;
+        try {
+            id = decodeURIComponent(hash.replace(/^#/, ''));
+        } catch {
+            return null;
+        }
+
+        if (!id) return null;
+        if (this.targetElement.id === id) return this.targetElement;
+
+        const selector = `[id="${id.replace(/["\\]/g, '\\$&')}"]`;
+        const roots = this.originalContent || [this.targetElement];
+
+        for (const root of roots) {
+            if (root.nodeType !== Node.ELEMENT_NODE) continue;
+            if (root !== this.targetElement && root.id === id) return root;
+
+            const match = root.querySelector(selector);
+            if (match) return match;
+        }
+
+        return null;
+    }
+
+    /**
+     * Expands the content and scrolls it into view if the URL hash targets it.
+     *
+     * @param {string} [hash] - The URL hash to check (defaults to the hash of the target's window)
+     * @returns {boolean} True if the hash targets this instance
+     */
+    revealHash(hash = this.view.location.hash) {
+        const { deepLink } = this.config;
+        if (!deepLink || this.isDestroyed || !this.findHashTarget(hash)) return false;
+
+        this.expand();
+
+        // Look up again: in chars and words modes the original node is back in the document now
+        const element = this.findHashTarget(hash);
+        if (deepLink.scroll && element && typeof element.scrollIntoView === 'function') {
+            element.scrollIntoView(deepLink.scroll === true ? undefined : deepLink.scroll);
+        }
+
+        return true;
+    }
+
+    /**
+     * Points the URL hash at the target element without adding a history entry or scrolling.
+     */
+    updateHash() {
+        const { deepLink } = this.config;
+        if (!deepLink || !deepLink.updateHash || !this.targetElement.id) return;
+
+        const { history } = this.view;
+        history.replaceState(history.state, '', `#${encodeURIComponent(this.targetElement.id)}`);
+    }
+
+    /**
+     * Starts listening for hashchange to reveal content the new hash points to.
+     */
+    observeHash() {
+        if (!this.config.deepLink || this.hashChangeHandler) return;
+
+        this.hashChangeHandler = () => this.revealHash();
+        this.view.addEventListener('hashchange', this.hashChangeHandler);
+    }
+
+    /**
+     * Starts expanding the content automatically when keyboard focus lands in the clamped
+     * region or find-in-page reveals the hidden remainder.
+     */
+    observeReveal() {
+        if (!this.config.autoExpand || this.revealHandlers) return;
+
+        const { targetElement } = this;
+
+        const focusin = (event) => {
+            if (!this.isExpanded && isOutsideVisibleArea(event.target, targetElement)) {
+                this.expand();
+            }
+        };
+
+        // Let the browser scroll to the match first; swapping in the original nodes right away would detach it
+        const beforematch = () => {
+            requestAnimationFrame(() => this.expand({ animate: false }));
+        };
+
+        targetElement.addEventListener('focusin', focusin);
+        targetElement.addEventListener('beforematch', beforematch);
+        this.revealHandlers = { focusin, beforematch };
+    }
+
+    /**
+     * Syncs the button content and aria-expanded attribute with the current state.
+     * Function templates re-render the button; otherwise the label (or rich content) is written
+     * into the button's `[data-readmore-label]` element, or into the button itself.
+     */
+    updateButton() {
+        const { config } = this;
+        const isExpanded = this.isExpanded;
+        const label = this.getLabel();
+
+        if (typeof config.buttonTemplate === 'function') {
+            let button = null;
+            try {
+                button = renderButtonTemplate(config.buttonTemplate, { expanded: isExpanded, label });
+            } catch (error) {
+                console.error('ReadMore: buttonTemplate failed', error);
+            }
+
+            if (button && button !== this.button) {
+                this.replaceButton(button);
+            }
+        } else {
+            const content = isExpanded ? config.readLessContent : config.readMoreContent;
+            const labelElement = getButtonLabelElement(this.button);
+
+            if (content === null) {
+                labelElement.innerText = label;
+            } else if (typeof content === 'string') {
+                labelElement.innerHTML = content;
+            } else {
+                labelElement.replaceChildren(content.cloneNode(true));
+            }
+        }
+
+        this.button.setAttribute('aria-expanded', isExpanded.toString());
+
+        // Give the button context, keeping the visible label first: "Read more: Shipping details"
+        if (config.a11y && config.a11y.label) {
+            this.button.setAttribute('aria-label', `${label}: ${config.a11y.label}`);
+        }
+
+        // Inline placement overlays the last visible line only while collapsed
+        if (this.ownsButton && config.placement === 'inline') {
+            this.button.toggleAttribute('data-readmore-inline', !isExpanded);
+        }
+    }
+
+    /**
+     * Inserts the toggle button according to the placement option:
+     * after or before the target, or at the end of a container element.
+     */
+    insertButton() {
+        const { button, targetElement, config } = this;
+
+        if (isHTMLElement(config.placement)) {
+            config.placement.appendChild(button);
+        } else if (config.placement === 'before') {
+            targetElement.parentNode.insertBefore(button, targetElement);
+        } else {
+            targetElement.parentNode.insertBefore(button, targetElement.nextSibling);
+        }
+    }
+
+    /**
+     * Gives the target element a generated id if it has none, so aria-controls can reference it.
+     */
+    ensureTargetId() {
+        if (this.targetElement.id) return;
+
+        this.targetElement.id = generateId(this.config.idPrefix, this.styleRoot);
+        this.generatedId = true;
+    }
+
+    /**
+     * Sets up the a11y option: finds the heading that describes the button, unless an explicit
+     * label is given, and adds the live region for announcements.
+     */
+    setupAccessibility() {
+        const { targetElement, config } = this;
+        const { a11y } = config;
+        if (!a11y) return;
+
+        if (!a11y.label && a11y.heading) {
+            const heading = findHeading(targetElement);
+
+            if (heading) {
+                if (!heading.id) {
+                    heading.id = generateId(`${config.idPrefix}-heading`, this.styleRoot);
+                    this.generatedHeadingId = true;
+                }
+                this.describedBy = heading;
+            }
+        }
+
+        if (a11y.announce) {
+            const region = document.createElement('span');
+            region.setAttribute('role', 'status');
+            region.setAttribute('aria-live', 'polite');
+            region.setAttribute('data-readmore-live-region', '');
+            region.style.cssText = VISUALLY_HIDDEN_STYLE;
+
+            targetElement.parentNode.insertBefore(region, targetElement.nextSibling);
+            this.liveRegion = region;
+        }
+    }
+
+    /**
+     * Announces the new state in the live region: "Expanded, N more lines" (lines mode) or "Expanded", and "Collapsed".
+     */
+    announceState() {
+        if (!this.liveRegion) return;
+
+        const { messages } = this.config.a11y;
+        let message = messages.collapsed;
+
+        if (this.isExpanded) {
+            const count = this.countHiddenLines();
+            message = count > 0 ? resolveMessage(messages, count, this.config.locale) : messages.expanded;
+        }
+
+        this.liveRegion.textContent = message;
+    }
+
+    /**
+     * Counts the lines beyond the limit in lines and rich modes, measuring the content without truncation.
+     *
+     * @returns {number} The number of hidden lines, or NaN if not truncated or unable to calculate
+     */
+    countHiddenLines() {
+        const { targetElement, config } = this;
+        if (!this.isTruncated || !['lines', 'rich'].includes(config.mode)) return NaN;
+
+        const lines = this.measureFullContent(() => {
+            const isClamped = targetElement.classList.contains(config.targetClass);
+
+            if (isClamped) {
+                targetElement.classList.remove(config.targetClass);
+            }
+
+            const measured = measureLines(targetElement, config);
+
+            if (isClamped) {
+                targetElement.classList.add(config.targetClass);
+            }
+
+            return measured;
+        });
+
+        return Math.max(lines - getActiveLinesLimit(config, this.view), 0);
+    }
+
+    /**
+     * Resolves the button label for a state. Label functions are called with the
+     * hidden line count, the locale and a plural() helper.
+     *
+     * @param {boolean} [expanded] - The state to get the label for (defaults to the current state)
+     * @returns {string} The label text
+     */
+    getLabel(expanded = this.isExpanded) {
+        const { config } = this;
+        const label = expanded ? config.readLessLabel : config.readMoreLabel;
+        if (typeof label !== 'function') return label;
+
+        return resolveLabel(label, { expanded, hiddenLines: this.countHiddenLines(), locale: config.locale });
+    }
+
+    /**
+     * Moves focus after a user toggle according to a11y.focus: into the expanded content,
+     * or back to the button.
+     */
+    moveFocus() {
+        const { targetElement, config } = this;
+        if (!config.a11y || !config.a11y.focus) return;
+
+        if (this.isExpanded && config.a11y.focus === 'content') {
+            if (!targetElement.hasAttribute('tabindex')) {
+                targetElement.setAttribute('tabindex', '-1');
+                this.addedTabIndex = true;
+            }
+            targetElement.focus();
+        } else if (this.button.isConnected) {
+            this.button.focus();
+        }
+    }
+
+    /**
+     * Sets the class and accessibility attributes the toggle button needs.
+     * Existing buttonElements keep their own classes and stay hidden while nothing is truncated.
+     */
+    prepareButton() {
+        const { button, targetElement, config } = this;
+
+        if (this.ownsButton) {
+            button.classList.add(config.linkClass);
+
+            // Mirror the content's direction so the button and its inline fade follow right-to-left text
+            if (isRightToLeft(targetElement) && !button.hasAttribute('dir')) {
+                button.setAttribute('dir', 'rtl');
+            }
+        } else if (!this.isTruncated) {
+            button.hidden = true;
+        }
+
+        if (button.tagName === 'BUTTON' && !button.hasAttribute('type')) {
+            button.type = 'button';
+        }
+
+        button.setAttribute('aria-expanded', this.isExpanded.toString());
+        button.setAttribute('aria-controls', targetElement.id);
+
+        if (this.describedBy) {
+            button.setAttribute('aria-describedby', this.describedBy.id);
+        }
+
+        // Native buttons have the role already; other elements need it and must be reachable with the keyboard
+        if (button.tagName !== 'BUTTON') {
+            button.setAttribute('role', 'button');
+
+            if (!button.matches('a[href], [tabindex]')) {
+                button.setAttribute('tabindex', '0');
+            }
+        }
+    }
+
+    /**
+     * Swaps in a newly rendered button, moving event listeners and focus over to it.
+     *
+     * @param {HTMLElement} button - The new toggle button
+     */
+    replaceButton(button) {
+        const previous = this.button;
+        const hadFocus = previous.ownerDocument.activeElement === previous;
+
+        this.eventListeners.forEach((listener, type) => {
+            previous.removeEventListener(type, listener);
+            button.addEventListener(type, listener);
+        });
+
+        this.button = button;
+        this.prepareButton();
+
+        if (previous.parentNode) {
+            previous.parentNode.replaceChild(button, previous);
+        }
+
+        if (hadFocus) {
+            button.focus();
+        }
+    }
+
+    /**
+     * Restores an existing buttonElement to how it was before initialization.
+     */
+    restoreButton() {
+        const { attributes, labelElement, children } = this.buttonSnapshot;
+
+        attributes.forEach((value, name) => {
+            if (value === null) {
+                this.button.removeAttribute(name);
+            } else {
+                this.button.setAttribute(name, value);
+            }
+        });
+
+        labelElement.replaceChildren(...children);
+    }
+
+    /**
+     * Checks whether the target content exceeds the configured limit.
+     * In lines, height and rich modes the truncation class is lifted while measuring so the full
+     * content is used; chars and words modes count the original text. Rich mode also updates
+     * the clip height to the bottom of the last visible line.
+     *
+     * @returns {boolean} True if the toggle button is needed
+     */
+    isTruncationNeeded() {
+        const { targetElement, config } = this;
+
+        if (TEXT_MODES.includes(config.mode)) {
+            return exceedsLimit(targetElement, config, this.originalContent || undefined);
+        }
+
+        return this.measureFullContent(() => {
+            const isClamped = targetElement.classList.contains(config.targetClass);
+
+            if (isClamped) {
+                targetElement.classList.remove(config.targetClass);
+            }
+
+            let isNeeded;
+            if (config.mode === 'rich') {
+                const clipHeight = getRichClipHeight(targetElement, getActiveLinesLimit(config, this.view));
+                isNeeded = clipHeight !== null;
+
+                if (isNeeded) {
+                    targetElement.style.setProperty('--readmore-clip-height', `${clipHeight}px`);
+                }
+            } else {
+                isNeeded = exceedsLimit(targetElement, config);
+            }
+
+            if (isClamped) {
+                targetElement.classList.add(config.targetClass);
+            }
+
+            return isNeeded;
+        });
+    }
+
+    /**
+     * Inserts the toggle button and applies truncation in the collapsed state.
+     */
+    attachButton() {
+        if (this.isTruncated) return;
+
+        try {
+            // Insert the link with error handling; existing buttons are just shown
+            if (this.ownsButton) {
+                this.insertButton();
+            } else {
+                this.button.hidden = false;
+            }
+
+            // Apply truncation to the target element
+            this.applyTruncation(true);
+        } catch (error) {
+            console.error('ReadMore: Failed to insert toggle link', error);
+            if (this.config.onError) {
+                this.config.onError(new ReadMoreError(ERROR_CODES.INSERT_FAILED, 'ReadMore: Failed to insert toggle link', error));
+            }
+            return;
+        }
+
+        this.isTruncated = true;
+        this.expanded = false;
+        this.updateButton();
+    }
+
+    /**
+     * Removes the toggle button and truncation when the content fits.
+     */
+    detachButton() {
+        if (!this.isTruncated) return;
+
+        if (!this.ownsButton) {
+            this.button.hidden = true;
+        } else if (this.button.parentNode) {
+            this.button.parentNode.removeChild(this.button);
+        }
+
+        this.applyTruncation(false);
+        this.isTruncated = false;
+        this.expanded = false;
+    }
+
+    /**
+     * Re-measures the content and adds or removes the toggle button as needed.
+     */
+    refresh() {
+        if (this.isDestroyed || this.isAnimating) return;
+
+        if (!this.config.injectStyles) {
+            this.setStyleProperties();
+        }
+
+        if (this.isTruncationNeeded()) {
+            // Label functions may depend on the hidden line count, which changes with the layout
+            if (this.isTruncated && hasLabelFunction(this.config)) {
+                this.updateButton();
+            }
+            this.attachButton();
+
+            // Split content that replaced the preview while collapsed (see handleContentChange)
+            if (this.isTruncated && !this.isExpanded && !this.originalContent && !this.hiddenOverflow) {
+                this.applyTruncation(true);
+            }
+        } else {
+            this.detachButton();
+        }
+    }
+
+    /**
+     * Sets what the static stylesheet needs on the target when styles are not injected:
+     * the truncation mode and the active line or height limit as custom properties.
+     */
+    setStyleProperties() {
+        const { targetElement, config } = this;
+        targetElement.setAttribute('data-readmore-clamp', config.mode);
+
+        if (config.mode === 'lines') {
+            targetElement.style.setProperty('--readmore-lines', String(getActiveLinesLimit(config, this.view)));
+        } else if (config.mode === 'height') {
+            const { heightLimit } = config;
+            targetElement.style.setProperty('--readmore-max-height', typeof heightLimit === 'number' ? `${heightLimit}px` : heightLimit);
+        }
+    }
+
+    /**
+     * Schedules a refresh on the next animation frame, dropping the cached line height.
+     * Multiple calls within one frame are coalesced.
+     */
+    scheduleRefresh() {
+        if (this.isDestroyed || this.refreshFrame !== null) return;
+
+        this.refreshFrame = requestAnimationFrame(() => {
+            this.refreshFrame = null;
+            invalidateLineHeightCache(this.targetElement);
+            this.refresh();
+        });
+    }
+
+    /**
+     * Starts observing the target and its parent for size changes.
+     * Does nothing in environments without ResizeObserver.
+     */
+    observeResize() {
+        if (typeof ResizeObserver === 'undefined' || this.resizeObserver) return;
+
+        this.resizeObserver = new ResizeObserver(() => this.scheduleRefresh());
+        this.resizeObserver.observe(this.targetElement);
+
+        if (this.targetElement.parentElement) {
+            this.resizeObserver.observe(this.targetElement.parentElement);
+        }
+    }
+
+    /**
+     * Starts observing the target's content for changes (text edits, added or removed nodes).
+     * Does nothing in environments without MutationObserver.
+     */
+    observeContent() {
+        if (typeof MutationObserver === 'undefined' || this.mutationObserver) return;
+
+        this.mutationObserver = new MutationObserver(records => this.handleContentChange(records));
+        this.mutationObserver.observe(this.targetElement, {
+            childList: true,
+            subtree: true,
+            characterData: true
+        });
+    }
+
+    /**
+     * Reacts to content changes from outside; records of our own swaps are dropped in dropOwnMutations().
+     * In chars and words modes a change while collapsed lands in the shortened preview, so it is
+     * replayed onto the original nodes, which are truncated again right away.
+     * Clamp modes reveal the hidden overflow and hide it again at the new cut on the next refresh.
+     *
+     * @param {MutationRecord[]} records - The changes
+     */
+    handleContentChange(records) {
+        if (this.originalContent) {
+            this.replayMutations(records);
+        } else if (this.hiddenOverflow) {
+            this.revealOverflow();
+        }
+
+        this.scheduleRefresh();
+    }
+
+    /**
+     * Applies changes made to the shortened preview to the original nodes and shows them shortened
+     * again. Added nodes move into the originals (before the original of their next sibling, or at
+     * the end); removed and edited copies remove or update their originals, and removing the last
+     * copy of a level also removes the cut-off originals after it. Changes inside the hidden
+     * remainder have no original and are dropped.
+     *
+     * @param {MutationRecord[]} records - The changes, in order
+     */
+    replayMutations(records) {
+        const { targetElement } = this;
+        const { originals, tails, cut, tail } = this.preview;
+        const content = targetElement.ownerDocument.createDocumentFragment();
+        content.append(...this.originalContent);
+        originals.set(targetElement, content);
+
+        records.forEach(record => {
+            const parent = originals.get(record.target);
+            if (!parent) return;
+
+            if (record.type === 'characterData') {
+                // The cut text node holds the kept text and the ellipsis; keep the cut-off tail
+                parent.data = record.target === cut
+                    ? `${record.target.data.replace(new RegExp(`${TEXT_ELLIPSIS}$`), '')}${tail}`
+                    : record.target.data;
+                return;
+            }
+
+            record.removedNodes.forEach(node => {
+                [originals.get(node), ...(tails.get(node) || [])].forEach(original => {
+                    if (original && original.parentNode) {
+                        original.parentNode.removeChild(original);
+                    }
+                });
+            });
+
+            record.addedNodes.forEach(node => {
+                // Skip nodes the page has moved out of the content since
+                if (node.parentNode && !targetElement.contains(node)) return;
+
+                const next = record.nextSibling && originals.get(record.nextSibling);
+                parent.insertBefore(node, next && next.parentNode === parent ? next : null);
+                originals.set(node, node);
+            });
+        });
+
+        targetElement.replaceChildren(content);
+        this.originalContent = null;
+        this.preview = null;
+        this.dropOwnMutations();
+        this.applyTruncation(true);
+    }
+
+    /**
+     * Re-checks truncation whenever the active linesLimit breakpoint changes.
+     * Does nothing for a numeric linesLimit or without matchMedia.
+     */
+    observeBreakpoints() {
+        const { view } = this;
+        if (!this.config.breakpoints || typeof view.matchMedia !== 'function' || this.mediaQueryLists.length) return;
+
+        this.breakpointHandler = () => this.scheduleRefresh();
+        this.mediaQueryLists = this.config.breakpoints.map(({ query }) => view.matchMedia(query));
+        this.mediaQueryLists.forEach(list => list.addEventListener('change', this.breakpointHandler));
+    }
+
+    /**
+     * Tears down the instance and restores the target element.
+     *
+     * @param {Object} [options={}] - Destroy options
+     * @param {boolean} [options.clearState=false] - Also remove the persisted expanded/collapsed state
+     */
+    destroy({ clearState = false } = {}) {
+        if (this.isDestroyed) return;
+
+        // Complete a running animation so inline styles are restored
+        if (this.finishAnimation) {
+            this.finishAnimation();
+        }
+
+        this.emit('destroy');
+        
+        // Stop watching for size, content, breakpoint, hash and focus changes
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+            this.mutationObserver = null;
+        }
+
+        this.mediaQueryLists.forEach(list => list.removeEventListener('change', this.breakpointHandler));
+        this.mediaQueryLists = [];
+
+        if (this.hashChangeHandler) {
+            this.view.removeEventListener('hashchange', this.hashChangeHandler);
+            this.hashChangeHandler = null;
+        }
+
+        if (this.revealHandlers) {
+            Object.entries(this.revealHandlers).forEach(([type, handler]) => {
+                this.targetElement.removeEventListener(type, handler);
+            });
+            this.revealHandlers = null;
+        }
+
+        if (clearState) {
+            this.clearState();
+        }
+
+        // Leave the accordion group
+        if (this.group) {
+            this.group.remove(this);
+            this.group = null;
+        }
+
+        if (this.refreshFrame !== null) {
+            cancelAnimationFrame(this.refreshFrame);
+            this.refreshFrame = null;
+        }
+
+        // Remove event listeners
+        this.removeAllEventListeners();
+        
+        // Remove the button if we created it, otherwise restore the existing element
+        if (!this.ownsButton) {
+            this.restoreButton();
+        } else if (this.button.parentNode) {
+            this.button.parentNode.removeChild(this.button);
+        }
+        
+        // Restore original content, remove classes and data attributes
+        this.applyTruncation(false);
+        delete this.targetElement.dataset.readmoreLinesEnabled;
+
+        if (this.generatedId) {
+            this.targetElement.removeAttribute('id');
+        }
+
+        // Undo the a11y setup
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+        }
+
+        if (this.generatedHeadingId) {
+            this.describedBy.removeAttribute('id');
+        }
+
+        if (this.addedTabIndex) {
+            this.targetElement.removeAttribute('tabindex');
+        }
+
+        if (this.config.mode === 'rich') {
+            this.targetElement.style.removeProperty('--readmore-clip-height');
+        }
+
+        if (!this.config.injectStyles) {
+            this.targetElement.removeAttribute('data-readmore-clamp');
+            this.targetElement.style.removeProperty('--readmore-lines');
+            this.targetElement.style.removeProperty('--readmore-max-height');
+        }
+
+        if (this.config.fade) {
+            delete this.targetElement.dataset.readmoreFade;
+            this.targetElement.style.removeProperty('--readmore-fade-height');
+        }
+        
+        // Clear line height cache for this element
+        invalidateLineHeightCache(this.targetElement);
+        
+        // Release the styles of this element's configuration; they are removed with the last instance using them
+        if (this.config.injectStyles) {
+            releaseStyle(this.styleRoot, getStyleCacheKey(this.config));
+        }
+        
+        // Mark as destroyed
+        this.isDestroyed = true;
+    }
+}
+
+/**
+ * Controller for a set of readmore instances created together by readmoreAll()
+ */
+class ReadMoreCollection {
+    constructor(instances) {
+        this.instances = instances;
+        this.observer = null;
+    }
+
+    /**
+     * The target elements of the instances in this collection.
+     *
+     * @returns {HTMLElement[]}
+     */
+    get elements() {
+        return this.instances.map(instance => instance.targetElement);
+    }
+
+    /**
+     * Expands every instance in the collection.
+     *
+     * @returns {number} Number of instances whose state changed
+     */
+    expandAll() {
+        return this.instances.filter(instance => instance.expand()).length;
+    }
+
+    /**
+     * Collapses every instance in the collection.
+     *
+     * @returns {number} Number of instances whose state changed
+     */
+    collapseAll() {
+        return this.instances.filter(instance => instance.collapse()).length;
+    }
+
+    /**
+     * Destroys every instance in the collection and empties it.
+     * Also stops watching for new elements if the collection was created by autoInit().
+     *
+     * @returns {void}
+     */
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        this.instances.forEach(instance => {
+            if (READMORE_INSTANCES.get(instance.targetElement) === instance) {
+                destroyReadMore(instance.targetElement);
+            }
+        });
+        this.instances = [];
+    }
+}
+
+/**
+ * Accordion group: expanding one member collapses the others
+ */
+class ReadMoreGroup extends ReadMoreCollection {
+    constructor(name = null) {
+        super([]);
+        this.name = name;
+        this.isExpandingAll = false;
+    }
+
+    /**
+     * The currently expanded member, if any.
+     *
+     * @returns {ReadMoreInstance|null}
+     */
+    get expandedMember() {
+        return this.instances.find(instance => instance.isExpanded) || null;
+    }
+
+    /**
+     * Adds an instance to the group.
+     *
+     * @param {ReadMoreInstance} instance - The instance to add
+     * @returns {void}
+     */
+    add(instance) {
+        if (!this.instances.includes(instance)) {
+            this.instances = [...this.instances, instance];
+            instance.group = this;
+        }
+    }
+
+    /**
+     * Removes an instance from the group. Named groups are unregistered once empty.
+     *
+     * @param {ReadMoreInstance} instance - The instance to remove
+     * @returns {void}
+     */
+    remove(instance) {
+        this.instances = this.instances.filter(member => member !== instance);
+
+        if (!this.instances.length && this.name !== null && READMORE_GROUPS.get(this.name) === this) {
+            READMORE_GROUPS.delete(this.name);
+        }
+    }
+
+    /**
+     * Collapses every member except the given one.
+     *
+     * @param {ReadMoreInstance} expandedInstance - The member being expanded
+     * @returns {void}
+     */
+    collapseOthers(expandedInstance) {
+        if (this.isExpandingAll) return;
+
+        this.instances.forEach(instance => {
+            if (instance !== expandedInstance) {
+                instance.collapse();
+            }
+        });
+    }
+
+    /**
+     * Expands every member, suspending the one-at-a-time rule.
+     *
+     * @returns {number} Number of instances whose state changed
+     */
+    expandAll() {
+        this.isExpandingAll = true;
+
+        try {
+            return super.expandAll();
+        } finally {
+            this.isExpandingAll = false;
+        }
+    }
+}
+
+/**
+ * Creates an accordion group. Named groups can also be joined by passing the name
+ * as the `group` option.
+ *
+ * @param {string} [name] - Optional group name to register the group under
+ * @returns {ReadMoreGroup} The group (an existing one if the name is already registered)
+ */
+function createReadMoreGroup(name) {
+    if (name !== undefined && READMORE_GROUPS.has(name)) {
+        return READMORE_GROUPS.get(name);
+    }
+
+    const group = new ReadMoreGroup(name === undefined ? null : name);
+    if (name !== undefined) {
+        READMORE_GROUPS.set(name, group);
+    }
+
+    return group;
+}
+
+/**
+ * Gets a named accordion group.
+ *
+ * @param {string} name - The group name
+ * @returns {ReadMoreGroup|null} The group or null if no instance has joined it
+ */
+function getReadMoreGroup(name) {
+    return READMORE_GROUPS.get(name) || null;
+}
+
+/**
+ * Resolves a selector, element, NodeList, HTMLCollection or array into a list of HTMLElements.
+ *
+ * @param {string|HTMLElement|NodeList|HTMLCollection|HTMLElement[]} targets - The targets to resolve
+ * @returns {HTMLElement[]} The matching elements (non-elements are skipped)
+ */
+function resolveElements(targets) {
+    let elements;
+
+    if (typeof targets === 'string') {
+        elements = document.querySelectorAll(targets);
+    } else if (isHTMLElement(targets)) {
+        elements = [targets];
+    } else if (targets && typeof targets.length === 'number') {
+        elements = targets;
+    } else {
+        return [];
+    }
+
+    return Array.from(elements).filter(isHTMLElement);
+}
+
+/**
+ * Destroys a readmore instance and cleans up all associated resources.
+ * 
+ * @param {HTMLElement} targetElement - The target element that had readmore functionality
+ * @param {Object} [options={}] - Destroy options
+ * @param {boolean} [options.clearState=false] - Also remove the persisted expanded/collapsed state
+ * @returns {boolean} True if instance was found and destroyed, false otherwise
+ */
+function destroyReadMore(targetElement, options = {}) {
+    if (!isHTMLElement(targetElement)) {
+        console.error('ReadMore: destroyReadMore requires a valid HTMLElement');
+        return false;
+    }
+
+    const instance = READMORE_INSTANCES.get(targetElement);
+    if (!instance) {
+        console.warn('ReadMore: No readmore instance found for the given element');
+        return false;
+    }
+
+    // Destroy the instance (includes line height and style cache invalidation)
+    instance.destroy(options);
+    
+    // Remove from instance tracking
+    READMORE_INSTANCES.delete(targetElement);
+    
+    return true;
+}
+
+/**
+ * Expands the content of an element with an active readmore instance.
+ * 
+ * @param {HTMLElement} targetElement - The target element that has readmore functionality
+ * @returns {boolean} True if the content was expanded, false otherwise
+ */
+function expandReadMore(targetElement) {
+    const instance = READMORE_INSTANCES.get(targetElement);
+    if (!instance) {
+        console.warn('ReadMore: No readmore instance found for the given element');
+        return false;
+    }
+
+    return instance.expand();
+}
+
+/**
+ * Collapses the content of an element with an active readmore instance.
+ * 
+ * @param {HTMLElement} targetElement - The target element that has readmore functionality
+ * @returns {boolean} True if the content was collapsed, false otherwise
+ */
+function collapseReadMore(targetElement) {
+    const instance = READMORE_INSTANCES.get(targetElement);
+    if (!instance) {
+        console.warn('ReadMore: No readmore instance found for the given element');
+        return false;
+    }
+
+    return instance.collapse();
+}
+
+/**
+ * Checks if an element has an active readmore instance.
+ * 
+ * @param {HTMLElement} targetElement - The element to check
+ * @returns {boolean} True if element has an active readmore instance
+ */
+function hasReadMoreInstance(targetElement) {
+    return READMORE_INSTANCES.has(targetElement);
+}
+
+/**
+ * Gets the readmore instance for an element.
+ * 
+ * @param {HTMLElement} targetElement - The element to get instance for
+ * @returns {ReadMoreInstance|null} The instance or null if not found
+ */
+function getReadMoreInstance(targetElement) {
+    return READMORE_INSTANCES.get(targetElement) || null;
+}
+
+/**
+ * Clears the CSS cache and removes all readmore styles from the document
+ * and from every shadow root or frame document styles were added to.
+ * This function can be used to reset the library state.
+ *
+ * @returns {void}
+ */
+function clearReadMoreCache() {
+    // Remove the styles added to each root that is still alive, then any left in the document head
+    const roots = [document, ...Array.from(CSS_CACHE_ROOTS, reference => reference.deref())];
+    roots.forEach(root => {
+        const styles = root && CSS_CACHE.get(root);
+        if (styles) {
+            Array.from(styles.keys()).forEach(cacheKey => removeStyle(root, cacheKey));
+        }
+    });
+    CSS_CACHE_ROOTS.clear();
+
+    const readmoreStyles = document.head.querySelectorAll('[data-readmore-lines-cache]');
+    readmoreStyles.forEach(style => style.remove());
+
+    // Note: Line height cache uses WeakMap which is automatically garbage collected
+    // when elements are removed from the DOM, so no manual clearing is needed
+}
+
+/**
+ * Checks if CSS styles for a specific configuration are already cached.
+ *
+ * @param {string} cacheKey - The cache key to check
+ * @param {Document|ShadowRoot} [root=document] - The document or shadow root the styles were added to
+ * @returns {boolean} True if styles are cached, false otherwise
+ */
+function isStyleCached(cacheKey, root = document) {
+    const styles = CSS_CACHE.get(root);
+    return Boolean(styles && styles.has(cacheKey));
+}
+
+/**
+ * Checks if line height is cached for a specific element.
+ *
+ * @param {HTMLElement} element - The element to check
+ * @returns {boolean} True if line height is cached, false otherwise
+ */
+function isLineHeightCached(element) {
+    return LINE_HEIGHT_CACHE.has(element);
+}
+
+/**
+ * Invalidates the line height cache for an element.
+ * This should be called when an element's styles change and line height needs recalculation.
+ *
+ * @param {HTMLElement} element - The element to invalidate cache for
+ * @returns {void}
+ */
+function invalidateLineHeightCache(element) {
+    if (element) {
+        LINE_HEIGHT_CACHE.delete(element);
+    }
+}
+
+/**
+ * Invalidates the style cache for a specific element's configuration.
+ * This removes the CSS styles associated with the element's readmore configuration.
+ *
+ * @param {HTMLElement} element - The element to invalidate style cache for
+ * @returns {void}
+ */
+function invalidateStyleCache(element) {
+    if (!isHTMLElement(element)) {
+        return;
+    }
+
+    const instance = READMORE_INSTANCES.get(element);
+    if (!instance) {
+        return;
+    }
+
+    removeStyle(instance.styleRoot, getStyleCacheKey(instance.config));
+}
+
+/**
+ * Gets the root that styles for an element must be added to: its shadow root,
+ * or the document it belongs to (which may be a same-origin frame's document).
+ *
+ * @param {HTMLElement} element - The element to get the style root for
+ * @returns {Document|ShadowRoot} The style root
+ */
+function getStyleRoot(element) {
+    const root = element.getRootNode();
+    return root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host ? root : element.ownerDocument;
+}
+
+/**
+ * Gets the node style elements are appended to: the head of a document, or the shadow root itself.
+ *
+ * @param {Document|ShadowRoot} root - The style root
+ * @returns {Node} The style container
+ */
+function getStyleContainer(root) {
+    return root.nodeType === Node.DOCUMENT_NODE ? (root.head || root.documentElement) : root;
+}
+
+/**
+ * Checks whether a root can adopt constructed stylesheets.
+ *
+ * @param {Document|ShadowRoot} root - The style root
+ * @returns {boolean} True if adoptedStyleSheets and CSSStyleSheet.replaceSync() are available
+ */
+function supportsAdoptedStyleSheets(root) {
+    const view = (root.ownerDocument || root).defaultView;
+    return Boolean(view && 'adoptedStyleSheets' in root && typeof view.CSSStyleSheet === 'function' &&
+        typeof view.CSSStyleSheet.prototype.replaceSync === 'function');
+}
+
+/**
+ * Utility function to add CSS styles to a document or shadow root with caching.
+ * This function appends a new style element to the document head or the shadow root,
+ * or adopts a constructed stylesheet if requested and supported,
+ * but only if the styles haven't been added to that root before.
+ * 
+ * @param {string} styleString - The CSS string to be added to the document
+ * @param {string} cacheKey - Unique identifier for the CSS to prevent duplicates
+ * @param {Object} [options={}] - Where and how to add the styles
+ * @param {Document|ShadowRoot} [options.root=document] - The document or shadow root to add the styles to
+ * @param {boolean} [options.adopt=false] - Use a constructed stylesheet in adoptedStyleSheets where available
+ * @param {string} [options.nonce] - CSP nonce for the style element
+ * @returns {void}
+ */
+function addStyle(styleString, cacheKey, { root = document, adopt = false, nonce } = {}) {
+    let styles = CSS_CACHE.get(root);
+    if (!styles) {
+        styles = new Map();
+        CSS_CACHE.set(root, styles);
+
+        if (typeof WeakRef === 'function') {
+            CSS_CACHE_ROOTS.add(new WeakRef(root));
+        }
+    }
+
+    // Check if styles with this cache key already exist in our cache
+    if (styles.has(cacheKey)) {
+        retainStyle(styles.get(cacheKey));
+        return; // Styles already added, skip
+    }
+    
+    // Check if styles with this cache key already exist in the DOM
+    const container = getStyleContainer(root);
+    const existingStyle = container.querySelector(`[data-readmore-lines-cache="${cacheKey}"]`);
+    if (existingStyle) {
+        styles.set(cacheKey, existingStyle); // Add to cache for future reference
+        retainStyle(existingStyle);
+        return; // Styles already added, skip
+    }
+
+    // Constructed stylesheets must come from the root's own window
+    if (adopt && supportsAdoptedStyleSheets(root)) {
+        const view = (root.ownerDocument || root).defaultView;
+        const sheet = new view.CSSStyleSheet();
+        sheet.replaceSync(styleString);
+        root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+        styles.set(cacheKey, sheet);
+        retainStyle(sheet);
+        return;
+    }
+    
+    const style = (root.ownerDocument || root).createElement('style');
+    style.textContent = styleString;
+    style.setAttribute('data-readmore-lines-cache', cacheKey);
+    if (nonce) {
+        style.setAttribute('nonce', nonce);
+    }
+    container.append(style);
+    
+    // Add to cache to prevent future duplicates
+    styles.set(cacheKey, style);
+    retainStyle(style);
+}
+
+/**
+ * Counts one more instance using an added style element or stylesheet.
+ *
+ * @param {HTMLStyleElement|CSSStyleSheet} style - The added styles
+ * @returns {void}
+ */
+function retainStyle(style) {
+    STYLE_REFERENCES.set(style, (STYLE_REFERENCES.get(style) || 0) + 1);
+}
+
+/**
+ * Counts one instance less using the styles of a cache key, removing them
+ * once no instance in that root uses them anymore.
+ *
+ * @param {Document|ShadowRoot} root - The document or shadow root
+ * @param {string} cacheKey - The cache key of the styles
+ * @returns {void}
+ */
+function releaseStyle(root, cacheKey) {
+    const styles = CSS_CACHE.get(root);
+    const style = styles ? styles.get(cacheKey) : null;
+    if (!style) return;
+
+    const references = (STYLE_REFERENCES.get(style) || 1) - 1;
+    STYLE_REFERENCES.set(style, references);
+
+    if (references <= 0) {
+        removeStyle(root, cacheKey);
+    }
+}
+
+/**
+ * Removes styles added by addStyle() from a document or shadow root, along with their cache entry.
+ *
+ * @param {Document|ShadowRoot} root - The document or shadow root
+ * @param {string} cacheKey - The cache key of the styles
+ * @returns {void}
+ */
+function removeStyle(root, cacheKey) {
+    const styles = CSS_CACHE.get(root);
+    const style = styles ? styles.get(cacheKey) : null;
+
+    if (style && !style.nodeType) {
+        root.adoptedStyleSheets = root.adoptedStyleSheets.filter(sheet => sheet !== style);
+    }
+
+    const styleElement = getStyleContainer(root).querySelector(`[data-readmore-lines-cache="${cacheKey}"]`);
+    if (styleElement) {
+        styleElement.remove();
+    }
+
+    if (style) {
+        STYLE_REFERENCES.delete(style);
+    }
+
+    if (styles) {
+        styles.delete(cacheKey);
+
+        if (!styles.size) {
+            CSS_CACHE.delete(root);
+            CSS_CACHE_ROOTS.forEach(reference => {
+                const cachedRoot = reference.deref();
+                if (!cachedRoot || cachedRoot === root) {
+                    CSS_CACHE_ROOTS.delete(reference);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Gets the window an element belongs to: the frame's own window for elements of same-origin
+ * frames, so media queries match the viewport the injected styles are evaluated against.
+ *
+ * @param {Node} element - The element
+ * @returns {Window} The element's window, or the current one for detached documents
+ */
+function getView(element) {
+    return (element.ownerDocument && element.ownerDocument.defaultView) || window;
+}
+
+/**
+ * Checks whether a value is an HTMLElement, including elements of same-origin frames,
+ * which are instances of their own window's HTMLElement.
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is an HTMLElement
+ */
+function isHTMLElement(value) {
+    if (value instanceof HTMLElement) return true;
+
+    const view = value && value.ownerDocument ? value.ownerDocument.defaultView : null;
+    return Boolean(view && view !== window && value instanceof view.HTMLElement);
+}
+
+/**
+ * Gets the computed line height of an element in pixels with caching.
+ * This function caches the computed line height to avoid repeated calculations.
+ * Pixel values keep their fractional part, unitless values are multiplied by the font size,
+ * and `normal` is measured with a probe using the element's font.
+ * 
+ * @param {HTMLElement} element - The DOM element to get the line height from
+ * @returns {number} The line height in pixels, or NaN if unable to determine
+ */
+function getLineHeight(element) {
+    if (!isHTMLElement(element)) {
+        return NaN;
+    }
+
+    // Check if line height is already cached for this element
+    if (LINE_HEIGHT_CACHE.has(element)) {
+        return LINE_HEIGHT_CACHE.get(element);
+    }
+    
+    // Calculate line height and cache it
+    const style = window.getComputedStyle(element);
+    const value = style.lineHeight;
+    const fontSize = parseFloat(style.fontSize);
+    let lineHeight;
+
+    if (/^\d*\.?\d+px$/.test(value)) {
+        lineHeight = parseFloat(value);
+    } else if (/^\d*\.?\d+$/.test(value)) {
+        lineHeight = parseFloat(value) * fontSize;
+    } else if (value === 'normal') {
+        // `normal` depends on the font; fall back to the common 1.2 ratio if it cannot be measured
+        lineHeight = measureNormalLineHeight(element, style) || fontSize * 1.2;
+    } else {
+        lineHeight = NaN;
+    }
+
+    LINE_HEIGHT_CACHE.set(element, lineHeight);
+    
+    return lineHeight;
+}
+
+/**
+ * Measures the height of one line of text with `line-height: normal` in an element's font.
+ * The probe is added next to the element so observers of its content are not triggered.
+ *
+ * @param {HTMLElement} element - The element whose font to use
+ * @param {CSSStyleDeclaration} style - The element's computed style
+ * @returns {number} The line height in pixels, or 0 if it cannot be measured
+ */
+function measureNormalLineHeight(element, style) {
+    if (!element.parentNode) {
+        return 0;
+    }
+
+    const probe = document.createElement('div');
+    probe.style.cssText = 'position: absolute; visibility: hidden; padding: 0; border: 0; white-space: nowrap; line-height: normal;';
+    ['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'fontStretch'].forEach(property => {
+        probe.style[property] = style[property];
+    });
+    probe.textContent = 'X';
+
+    element.parentNode.appendChild(probe);
+    const height = probe.getBoundingClientRect().height;
+    probe.remove();
+
+    return height;
+}
+
+/**
+ * Calculates the number of lines of text in an element.
+ * This is used to determine if the content exceeds the specified line limit.
+ * Padding and borders are subtracted from the element's height before dividing by the line height.
+ * 
+ * @param {HTMLElement} element - The DOM element to count lines in
+ * @returns {number} The number of lines, or NaN if unable to calculate
+ */
+function countLines(element) {
+    // Validate input
+    if (!isHTMLElement(element)) {
+        return NaN;
+    }
+    
+    const style = window.getComputedStyle(element);
+    const boxExtras = ['paddingTop', 'paddingBottom', 'borderTopWidth', 'borderBottomWidth']
+        .reduce((sum, property) => sum + (parseFloat(style[property]) || 0), 0);
+    const divHeight = element.offsetHeight - boxExtras;
+    const lineHeight = getLineHeight(element);
+    
+    // Return NaN if either height or line height cannot be determined
+    if (isNaN(lineHeight) || isNaN(divHeight) || lineHeight <= 0 || divHeight <= 0) {
+        return NaN;
+    }
+    
+    return Math.round(divHeight / lineHeight);
+}
+
+/**
+ * Counts lines with the instance's measure hook if one is configured, otherwise with countLines().
+ * A hook that throws or returns something other than a number counts as unable to calculate.
+ *
+ * @param {HTMLElement} element - The DOM element to count lines in
+ * @param {Object} config - Instance configuration
+ * @returns {number} The number of lines, or NaN if unable to calculate
+ */
+function measureLines(element, config) {
+    if (!config.measure) {
+        return countLines(element);
+    }
+
+    try {
+        const lines = config.measure(element);
+        return typeof lines === 'number' ? lines : NaN;
+    } catch (error) {
+        console.error('ReadMore: measure failed', error);
+        return NaN;
+    }
+}
+
+/**
+ * Checks an element's content against the limit of a configuration, as readmore() does.
+ * Lines, height and rich modes measure the element as it is rendered.
+ *
+ * @param {HTMLElement} element - The element to check
+ * @param {Object} config - Instance configuration (mode, limits, breakpoints, measure)
+ * @param {Node[]} [nodes] - Content to count in chars and words modes (defaults to the element's children)
+ * @returns {boolean} True if the content exceeds the limit or cannot be measured
+ */
+function exceedsLimit(element, config, nodes = Array.from(element.childNodes)) {
+    if (TEXT_MODES.includes(config.mode)) {
+        const text = nodes.map(node => node.textContent).join('');
+        return countText(text, config.mode) > getTextLimit(config);
+    }
+
+    if (config.mode === 'rich') {
+        return getRichClipHeight(element, getActiveLinesLimit(config, getView(element))) !== null;
+    }
+
+    if (config.mode === 'height') {
+        return getContentHeight(element) > resolveLength(config.heightLimit, element);
+    }
+
+    return !(measureLines(element, config) < getActiveLinesLimit(config, getView(element)));
+}
+
+/**
+ * Checks whether readmore() would truncate an element with the given options, without
+ * initializing it. Uses the same measurements and line height cache as readmore().
+ * For an element that already has an instance, the instance's own configuration is used,
+ * without touching the instance's content or styles: while lines, height or rich mode
+ * content is collapsed, the clamp hides what would be measured, so the instance's last
+ * result stands.
+ *
+ * @param {HTMLElement} element - The element to check
+ * @param {Object} [options={}] - The readmore() limits: mode, linesLimit, heightLimit, charsLimit, wordsLimit and measure
+ * @returns {boolean} True if the content would be truncated (also when it cannot be measured), false for invalid options
+ *
+ * @example
+ * if (wouldTruncate(card, { linesLimit: 3 })) {
+ *     card.classList.add('card--expandable');
+ * }
+ */
+function wouldTruncate(element, options = {}) {
+    if (!isHTMLElement(element)) {
+        return false;
+    }
+
+    const instance = READMORE_INSTANCES.get(element);
+    if (instance && !instance.isDestroyed) {
+        const { config } = instance;
+        if (!TEXT_MODES.includes(config.mode) && instance.isTruncated && !instance.isExpanded) {
+            return true;
+        }
+
+        return exceedsLimit(element, config, instance.originalContent || undefined);
+    }
+
+    // Same validation as readmore(), reported the same way
+    const limitError = validateLimits(options);
+    if (limitError) {
+        console.error(limitError.message);
+        return false;
+    }
+
+    const { mode = 'lines', linesLimit = 8, heightLimit, charsLimit, wordsLimit, measure } = options;
+    const isBreakpointMap = typeof linesLimit === 'object' && linesLimit !== null;
+
+    return exceedsLimit(element, {
+        mode,
+        linesLimit,
+        breakpoints: isBreakpointMap ? normalizeBreakpoints(linesLimit) : null,
+        heightLimit,
+        charsLimit,
+        wordsLimit,
+        measure: measure || null
+    });
+}
+
+/**
+ * Collects the rendered boxes of an element's content: one rect per line fragment of each
+ * text node (via Range client rects) and one rect per replaced element such as an image.
+ *
+ * @param {Node} node - The node whose children to measure
+ * @param {Range} range - Range reused for measuring text nodes
+ * @param {DOMRect[]} boxes - Array the non-empty boxes are added to
+ * @returns {DOMRect[]} The boxes array
+ */
+function collectContentBoxes(node, range, boxes) {
+    node.childNodes.forEach(child => {
+        let rects = [];
+
+        if (child.nodeType === Node.TEXT_NODE) {
+            range.selectNodeContents(child);
+            rects = Array.from(range.getClientRects());
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+            if (!child.matches(REPLACED_ELEMENTS)) {
+                collectContentBoxes(child, range, boxes);
+                return;
+            }
+            rects = [child.getBoundingClientRect()];
+        }
+
+        rects.forEach(rect => {
+            if (rect.width > 0 && rect.height > 0) {
+                boxes.push(rect);
+            }
+        });
+    });
+
+    return boxes;
+}
+
+/**
+ * Groups content boxes into visual lines. Boxes whose vertical center falls within
+ * the current line (text next to an image, cells of a table row) belong to that line.
+ *
+ * @param {DOMRect[]} boxes - Content boxes from collectContentBoxes()
+ * @returns {{top: number, bottom: number}[]} Lines from top to bottom
+ */
+function groupLineBoxes(boxes) {
+    const lines = [];
+
+    boxes
+        .slice()
+        .sort((a, b) => a.top - b.top)
+        .forEach(({ top, bottom }) => {
+            const line = lines[lines.length - 1];
+
+            if (line && (top + bottom) / 2 < line.bottom) {
+                line.bottom = Math.max(line.bottom, bottom);
+            } else {
+                lines.push({ top, bottom });
+            }
+        });
+
+    return lines;
+}
+
+/**
+ * Measures where rich content has to be clipped to show the given number of lines.
+ * Lines are the actual line boxes across nested elements, so images, headings and list
+ * items each count as rendered rather than as multiples of one line height.
+ *
+ * @param {HTMLElement} element - The element to measure (without truncation applied)
+ * @param {number} limit - Number of lines to show
+ * @returns {number|null} Clip height in pixels for max-height, or null if the content fits
+ */
+function getRichClipHeight(element, limit) {
+    const range = document.createRange();
+
+    // Without layout information (e.g. non-browser environments) the content is left untruncated
+    if (typeof range.getClientRects !== 'function') {
+        return null;
+    }
+
+    const lines = groupLineBoxes(collectContentBoxes(element, range, []));
+    if (lines.length <= limit) {
+        return null;
+    }
+
+    // max-height applies to the content box unless border-box sizing is used
+    const style = window.getComputedStyle(element);
+    const offset = style.boxSizing === 'border-box'
+        ? 0
+        : (parseFloat(style.paddingTop) || 0) + (parseFloat(style.borderTopWidth) || 0);
+
+    return Math.ceil(lines[limit - 1].bottom - element.getBoundingClientRect().top - offset);
+}
+
+/**
+ * Gets the rendered height of an element in pixels, measured the way max-height applies:
+ * the content box, or the border box with border-box sizing.
+ *
+ * @param {HTMLElement} element - The DOM element to measure
+ * @returns {number} The height in pixels
+ */
+function getContentHeight(element) {
+    const style = window.getComputedStyle(element);
+    if (style.boxSizing === 'border-box') {
+        return element.offsetHeight;
+    }
+
+    const edges = ['paddingTop', 'paddingBottom', 'borderTopWidth', 'borderBottomWidth']
+        .reduce((sum, property) => sum + (parseFloat(style[property]) || 0), 0);
+
+    return element.offsetHeight - edges;
+}
+
+/**
+ * Resolves a height limit to pixels. Numbers and plain pixel values are used as is;
+ * other CSS lengths (rem, em, vh...) are measured with a temporary probe element.
+ *
+ * @param {number|string} value - The height limit
+ * @param {HTMLElement} contextElement - Element whose parent provides the measuring context (the document body when detached)
+ * @returns {number} The height in pixels
+ */
+function resolveLength(value, contextElement) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    if (/^\d*\.?\d+(px)?$/.test(value)) {
+        return parseFloat(value);
+    }
+
+    const probe = document.createElement('div');
+    probe.style.cssText = `position: absolute; visibility: hidden; height: ${value};`;
+    (contextElement.parentNode || contextElement.ownerDocument.body).appendChild(probe);
+    const height = probe.offsetHeight;
+    probe.remove();
+
+    return height;
+}
+
+/**
+ * Counts characters (with whitespace runs collapsed) or words in a text.
+ *
+ * @param {string} text - The text to count
+ * @param {string} mode - 'chars' or 'words'
+ * @returns {number} The count
+ */
+function countText(text, mode) {
+    if (mode === 'words') {
+        return (text.match(/\S+/g) || []).length;
+    }
+
+    return text.replace(/\s+/g, ' ').trim().length;
+}
+
+/**
+ * Gets the limit that applies to a chars or words mode configuration.
+ *
+ * @param {Object} config - Instance configuration
+ * @returns {number} The character or word limit
+ */
+function getTextLimit(config) {
+    return config.mode === 'words' ? config.wordsLimit : config.charsLimit;
+}
+
 /**
- * Instance data structure for tracking readmore instances
+ * Adds or replaces a locale bundle for the locale option.
+ *
+ * @param {string} name - Language tag, e.g. 'sv' or 'pt-BR' (matched case-insensitively)
+ * @param {Object} bundle - The locale's labels
+ * @param {string|Function} bundle.readMore - Label for the collapsed state, or a function as for readMoreLabel
+ * @param {string|Function} bundle.readLess - Label for the expanded state, or a function as for readLessLabel
+ * @param {Object} [bundle.messages] - a11y announcement texts (expanded, expandedLines, collapsed); missing ones
+ *   fall back to English
+ * @returns {boolean} True if the locale was registered, false for invalid input
+ *
+ * @example
+ * registerLocale('sv', {
+ *     readMore: ({ hiddenLines, plural }) => `Visa ${hiddenLines} ${plural({ one: 'rad', other: 'rader' })} till`,
+ *     readLess: 'Visa mindre'
+ * });
  */
-class ReadMoreInstance {
-    constructor(targetElement, button, config) {
-        this.targetElement = targetElement;
-        this.button = button;
-        this.config = config;
-        this.eventListeners = new Map();
-        this.isDestroyed = false;
+function registerLocale(name, bundle) {
+    if (typeof name !== 'string' || !name.trim()) {
+        console.error('ReadMore: registerLocale requires a locale name');
+        return false;
     }
 
-    addEventListener(type, listener) {
-        this.button.addEventListener(type, listener);
-        this.eventListeners.set(type, listener);
+    const isLabel = label => typeof label === 'string' || typeof label === 'function';
+    if (!bundle || typeof bundle !== 'object' || !isLabel(bundle.readMore) || !isLabel(bundle.readLess)) {
+        console.error('ReadMore: a locale bundle needs readMore and readLess labels (strings or functions)');
+        return false;
     }
 
-    removeAllEventListeners() {
-        this.eventListeners.forEach((listener, type) => {
-            this.button.removeEventListener(type, listener);
-        });
-        this.eventListeners.clear();
-    }
+    // The English messages are the fallback for every locale, so replacing 'en' only overrides them
+    const key = name.trim().toLowerCase();
+    const messages = key === DEFAULT_LOCALE ? { ...LOCALES.get(DEFAULT_LOCALE).messages, ...(bundle.messages || {}) } : bundle.messages;
+    LOCALES.set(key, messages ? { ...bundle, messages } : { ...bundle });
+    return true;
+}
 
-    destroy() {
-        if (this.isDestroyed) return;
-        
-        // Remove event listeners
-        this.removeAllEventListeners();
-        
-        // Remove button from DOM
-        if (this.button && this.button.parentNode) {
-            this.button.parentNode.removeChild(this.button);
-        }
-        
-        // Remove classes and data attributes
-        this.targetElement.classList.remove(this.config.targetClass);
-        delete this.targetElement.dataset.readmoreLinesEnabled;
-        
-        // Clear line height cache for this element
-        invalidateLineHeightCache(this.targetElement);
-        
-        // Clear style cache for this element's configuration
-        invalidateStyleCache(this.targetElement);
-        
-        // Mark as destroyed
-        this.isDestroyed = true;
+/**
+ * Resolves the locale option to a registered locale: the exact tag, then its base language,
+ * then English. 'auto' uses the lang attribute of the target element or its closest ancestor.
+ *
+ * @param {string} [locale] - The locale option
+ * @param {HTMLElement} targetElement - The target element
+ * @returns {{name: string, bundle: Object}} The locale name and its bundle
+ */
+function resolveLocale(locale, targetElement) {
+    let tag = locale || DEFAULT_LOCALE;
+
+    if (tag === 'auto') {
+        const langElement = targetElement.closest('[lang]');
+        tag = langElement ? langElement.getAttribute('lang') : DEFAULT_LOCALE;
     }
+
+    const name = [tag.toLowerCase(), tag.toLowerCase().split('-')[0]].find(candidate => LOCALES.has(candidate)) || DEFAULT_LOCALE;
+    return { name, bundle: LOCALES.get(name) };
 }
 
 /**
- * Destroys a readmore instance and cleans up all associated resources.
- * 
- * @param {HTMLElement} targetElement - The target element that had readmore functionality
- * @returns {boolean} True if instance was found and destroyed, false otherwise
+ * Creates the plural() helper passed to label and message functions: it picks a form
+ * ({ one, few, many, other, ... }) for a count using Intl.PluralRules, falling back to other.
+ *
+ * @param {string} locale - The resolved locale name
+ * @param {number} count - The number to pick the form for
+ * @returns {Function} The plural helper
  */
-function destroyReadMore(targetElement) {
-    if (!targetElement || !(targetElement instanceof HTMLElement)) {
-        console.error('ReadMore: destroyReadMore requires a valid HTMLElement');
-        return false;
+function createPlural(locale, count) {
+    return (forms) => {
+        const rules = typeof Intl !== 'undefined' && Intl.PluralRules ? new Intl.PluralRules(locale) : null;
+        const form = rules ? rules.select(count) : 'other';
+        return form in forms ? forms[form] : forms.other;
+    };
+}
+
+/**
+ * Builds the expandedLines announcement from a string with {count} or a message function.
+ *
+ * @param {Object} messages - The instance's announcement texts
+ * @param {number} count - The number of revealed lines
+ * @param {string} locale - The resolved locale name
+ * @returns {string} The announcement, or the expanded text if the function throws
+ */
+function resolveMessage(messages, count, locale) {
+    const { expandedLines } = messages;
+    if (typeof expandedLines !== 'function') return String(expandedLines).replace('{count}', count);
+
+    try {
+        return String(expandedLines({ count, locale, plural: createPlural(locale, count) }));
+    } catch (error) {
+        console.error('ReadMore: message function failed', error);
+        return messages.expanded;
     }
+}
 
-    const instance = READMORE_INSTANCES.get(targetElement);
-    if (!instance) {
-        console.warn('ReadMore: No readmore instance found for the given element');
-        return false;
+/**
+ * Calls a label function. The context gets a plural() helper that picks a form
+ * ({ one, few, many, other, ... }) for the hidden line count using Intl.PluralRules.
+ *
+ * @param {Function} label - The label function
+ * @param {Object} context - Expanded state, hidden line count and locale
+ * @returns {string} The label, or the English default if the function throws
+ */
+function resolveLabel(label, context) {
+    try {
+        return String(label({ ...context, plural: createPlural(context.locale, context.hiddenLines) }));
+    } catch (error) {
+        console.error('ReadMore: label function failed', error);
+        const english = LOCALES.get(DEFAULT_LOCALE);
+        return context.expanded ? english.readLess : english.readMore;
     }
+}
 
-    // Destroy the instance (includes line height and style cache invalidation)
-    instance.destroy();
-    
-    // Remove from instance tracking
-    READMORE_INSTANCES.delete(targetElement);
-    
-    return true;
+/**
+ * Checks whether a configuration uses a label function for either state.
+ *
+ * @param {Object} config - Instance configuration
+ * @returns {boolean} True if readMoreLabel or readLessLabel is a function
+ */
+function hasLabelFunction(config) {
+    return typeof config.readMoreLabel === 'function' || typeof config.readLessLabel === 'function';
 }
 
 /**
- * Checks if an element has an active readmore instance.
- * 
- * @param {HTMLElement} targetElement - The element to check
- * @returns {boolean} True if element has an active readmore instance
+ * Checks whether an element's content runs right to left, from the dir attribute
+ * of the element or its closest ancestor.
+ *
+ * @param {HTMLElement} element - The element to check
+ * @returns {boolean} True if the closest dir attribute is rtl
  */
-function hasReadMoreInstance(targetElement) {
-    return READMORE_INSTANCES.has(targetElement);
+function isRightToLeft(element) {
+    const dirElement = element.closest('[dir]');
+    return dirElement !== null && dirElement.getAttribute('dir').toLowerCase() === 'rtl';
 }
 
 /**
- * Gets the readmore instance for an element.
- * 
- * @param {HTMLElement} targetElement - The element to get instance for
- * @returns {ReadMoreInstance|null} The instance or null if not found
+ * Finds the element that describes the content: the element referenced by the target's
+ * aria-labelledby, the content's first heading, or a heading right before the target.
+ *
+ * @param {HTMLElement} targetElement - The target element
+ * @returns {HTMLElement|null} The describing element or null
  */
-function getReadMoreInstance(targetElement) {
-    return READMORE_INSTANCES.get(targetElement) || null;
+function findHeading(targetElement) {
+    const labelledBy = (targetElement.getAttribute('aria-labelledby') || '').trim().split(/\s+/)[0];
+    const label = labelledBy ? getStyleRoot(targetElement).getElementById(labelledBy) : null;
+    if (label) return label;
+
+    const heading = targetElement.querySelector(HEADING_SELECTOR);
+    if (heading) return heading;
+
+    const previous = targetElement.previousElementSibling;
+    return previous && previous.matches(HEADING_SELECTOR) ? previous : null;
 }
 
 /**
- * Clears the CSS cache and removes all readmore styles from the document.
- * This function can be used to reset the library state.
+ * Generates an id that is not used in the root yet: the prefix and a counter
+ * that increases with every call, so ids never repeat within a page.
  *
- * @returns {void}
+ * @param {string} prefix - Id prefix
+ * @param {Document|ShadowRoot} [root=document] - The document or shadow root the id is used in
+ * @returns {string} The id
  */
-function clearReadMoreCache() {
-    // Remove all readmore style elements from the document
-    const readmoreStyles = document.head.querySelectorAll('[data-readmore-lines-cache]');
-    readmoreStyles.forEach(style => style.remove());
+function generateId(prefix, root = document) {
+    let id;
+    do {
+        idCounter++;
+        id = `${prefix}-${idCounter}`;
+    } while (root.getElementById(id));
 
-    // Clear the CSS cache
-    CSS_CACHE.clear();
+    return id;
+}
 
-    // Note: Line height cache uses WeakMap which is automatically garbage collected
-    // when elements are removed from the DOM, so no manual clearing is needed
+/**
+ * Renders a button template: an HTML string (its first element is used) or a function
+ * returning an element for the given state.
+ *
+ * @param {string|Function} template - HTML string or function
+ * @param {{expanded: boolean, label: string}} state - Current toggle state
+ * @returns {HTMLElement|null} The button element, or null if the template produced none
+ */
+function renderButtonTemplate(template, state) {
+    if (typeof template === 'function') {
+        const element = template(state);
+        return isHTMLElement(element) ? element : null;
+    }
+
+    const container = document.createElement('template');
+    container.innerHTML = template.trim();
+    return container.content.firstElementChild;
 }
 
 /**
- * Checks if CSS styles for a specific configuration are already cached.
+ * Returns the element that holds the button label: a `[data-readmore-label]` descendant or the button itself.
  *
- * @param {string} cacheKey - The cache key to check
- * @returns {boolean} True if styles are cached, false otherwise
+ * @param {HTMLElement} button - The toggle button
+ * @returns {HTMLElement} The label element
  */
-function isStyleCached(cacheKey) {
-    return CSS_CACHE.has(cacheKey);
+function getButtonLabelElement(button) {
+    return button.querySelector('[data-readmore-label]') || button;
 }
 
 /**
- * Checks if line height is cached for a specific element.
+ * Records the attributes and label content of an existing button so destroy() can restore them.
  *
- * @param {HTMLElement} element - The element to check
- * @returns {boolean} True if line height is cached, false otherwise
+ * @param {HTMLElement} button - The existing button element
+ * @returns {Object} Snapshot with attributes, labelElement and children
  */
-function isLineHeightCached(element) {
-    return LINE_HEIGHT_CACHE.has(element);
+function snapshotButton(button) {
+    const labelElement = getButtonLabelElement(button);
+
+    return {
+        attributes: new Map(BUTTON_ATTRIBUTES.map(name => [name, button.getAttribute(name)])),
+        labelElement,
+        children: Array.from(labelElement.childNodes)
+    };
 }
 
 /**
- * Invalidates the line height cache for an element.
- * This should be called when an element's styles change and line height needs recalculation.
+ * Checks whether the browser supports hidden="until-found" and the beforematch event.
  *
- * @param {HTMLElement} element - The element to invalidate cache for
- * @returns {void}
+ * @returns {boolean} True if supported
  */
-function invalidateLineHeightCache(element) {
-    if (element) {
-        LINE_HEIGHT_CACHE.delete(element);
+function supportsHiddenUntilFound() {
+    return 'onbeforematch' in HTMLElement.prototype;
+}
+
+/**
+ * Checks whether an element extends past the bottom or right edge of a clipping container.
+ *
+ * @param {Element} element - The element to check
+ * @param {HTMLElement} container - The clipping container
+ * @returns {boolean} True if part of the element is clipped
+ */
+function isOutsideVisibleArea(element, container) {
+    const rect = element.getBoundingClientRect();
+    const bounds = container.getBoundingClientRect();
+
+    // Allow a pixel of rounding error
+    return rect.bottom - bounds.bottom > 1 || rect.right - bounds.right > 1;
+}
+
+/**
+ * Finds where text inside a node tree reaches the given number of characters or words.
+ * Counting matches countText() so both agree on where the limit falls.
+ *
+ * @param {Node} root - The node tree to search
+ * @param {string} mode - 'chars' or 'words'
+ * @param {number} limit - Number of characters or words to keep
+ * @returns {{node: Text, offset: number}|null} The text node and offset of the cut point, or null if the text fits
+ */
+function findTextCut(root, mode, limit) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let count = 0;
+    let lastWasSpace = true;
+    let node;
+
+    while ((node = walker.nextNode())) {
+        const text = node.data;
+
+        if (mode === 'words') {
+            const pattern = /\S+/g;
+            let match;
+
+            while ((match = pattern.exec(text))) {
+                // A word that starts right where the previous text node ended continues it
+                if (match.index > 0 || lastWasSpace) {
+                    count++;
+                }
+
+                if (count === limit) {
+                    return { node, offset: match.index + match[0].length };
+                }
+            }
+        } else {
+            for (let i = 0; i < text.length; i++) {
+                const isSpace = /\s/.test(text[i]);
+
+                if (isSpace && lastWasSpace) {
+                    continue;
+                }
+
+                lastWasSpace = isSpace;
+                count++;
+
+                if (count === limit) {
+                    return { node, offset: i + 1 };
+                }
+            }
+        }
+
+        if (text.length > 0) {
+            lastWasSpace = /\s$/.test(text);
+        }
     }
+
+    return null;
 }
 
 /**
- * Invalidates the style cache for a specific element's configuration.
- * This removes the CSS styles associated with the element's readmore configuration.
+ * Removes every sibling on one side of a node, walking up to the root.
  *
- * @param {HTMLElement} element - The element to invalidate style cache for
+ * @param {Node} node - The node to start from
+ * @param {Node} root - The node tree root
+ * @param {string} side - 'nextSibling' or 'previousSibling'
  * @returns {void}
  */
-function invalidateStyleCache(element) {
-    if (!element || !(element instanceof HTMLElement)) {
-        return;
+function removeSiblings(node, root, side) {
+    let current = node;
+    while (current && current !== root) {
+        while (current[side]) {
+            current.parentNode.removeChild(current[side]);
+        }
+        current = current.parentNode;
     }
+}
 
-    const instance = READMORE_INSTANCES.get(element);
-    if (!instance) {
-        return;
+/**
+ * Finds where the text clipped by a collapsed element starts: the first character laid out
+ * below the bottom of its content box. Needs layout and Range.getClientRects().
+ *
+ * @param {HTMLElement} element - The collapsed element
+ * @returns {{node: Text, offset: number}|null} The text node and offset of the cut point, or null if nothing is clipped
+ */
+function findOverflowCut(element) {
+    if (typeof Range === 'undefined' || typeof Range.prototype.getClientRects !== 'function') {
+        return null;
     }
 
-    const cacheKey = `readmore-lines-styles-${instance.config.targetClass}-${instance.config.linesLimit}`;
-    CSS_CACHE.delete(cacheKey);
+    const style = window.getComputedStyle(element);
+    const bottom = element.getBoundingClientRect().bottom
+        - (parseFloat(style.paddingBottom) || 0)
+        - (parseFloat(style.borderBottomWidth) || 0);
+    const range = element.ownerDocument.createRange();
 
-    const styleElement = document.head.querySelector(`[data-readmore-lines-cache="${cacheKey}"]`);
-    if (styleElement) {
-        styleElement.remove();
+    // Allow a pixel of rounding error
+    const isClipped = (node, start, end) => {
+        range.setStart(node, start);
+        range.setEnd(node, end);
+        const rects = range.getClientRects();
+        return rects.length > 0 && rects[rects.length - 1].top > bottom - 1;
+    };
+
+    const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let node;
+
+    while ((node = walker.nextNode())) {
+        if (!node.data.length || !isClipped(node, 0, node.data.length)) continue;
+
+        // Binary search for the first clipped character
+        let low = 0;
+        let high = node.data.length - 1;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (isClipped(node, middle, middle + 1)) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+
+        return { node, offset: low };
     }
+
+    return null;
 }
 
 /**
- * Utility function to add CSS styles to the document head with caching.
- * This function creates a new style element and appends it to the document head,
- * but only if the styles haven't been added before.
- * 
- * @param {string} styleString - The CSS string to be added to the document
- * @param {string} cacheKey - Unique identifier for the CSS to prevent duplicates
+ * Returns the position of a text node among the text nodes of a tree, in document order.
+ *
+ * @param {Node} root - The node tree
+ * @param {Text} target - The text node to find
+ * @returns {number} The index, or -1 if the node is not in the tree
+ */
+function indexOfTextNode(root, target) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let index = 0;
+    let node;
+
+    while ((node = walker.nextNode())) {
+        if (node === target) return index;
+        index++;
+    }
+
+    return -1;
+}
+
+/**
+ * Returns the text node at a position among the text nodes of a tree, in document order.
+ *
+ * @param {Node} root - The node tree
+ * @param {number} index - The position from indexOfTextNode()
+ * @returns {Text|null} The text node, or null if there are fewer text nodes
+ */
+function getTextNode(root, index) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let node = walker.nextNode();
+
+    for (let i = 0; node && i < index; i++) {
+        node = walker.nextNode();
+    }
+
+    return node;
+}
+
+/**
+ * Pairs copies with the originals they were cloned from, descending into children.
+ * The copies may end early (a shortened preview); the last copy of a level then also
+ * stands for the cut-off originals after it, its tail.
+ *
+ * @param {Node[]} originals - The original nodes
+ * @param {Node[]} copies - Their copies, in the same order
+ * @param {{originals: WeakMap<Node, Node>, tails: WeakMap<Node, Node[]>}} [pairs] - Maps the pairs are added to
+ * @returns {{originals: WeakMap<Node, Node>, tails: WeakMap<Node, Node[]>}} Maps from copy to original and to cut-off originals
+ */
+function mapCopies(originals, copies, pairs = { originals: new WeakMap(), tails: new WeakMap() }) {
+    copies.forEach((copy, index) => {
+        pairs.originals.set(copy, originals[index]);
+        mapCopies(Array.from(originals[index].childNodes), Array.from(copy.childNodes), pairs);
+    });
+
+    if (copies.length && copies.length < originals.length) {
+        pairs.tails.set(copies[copies.length - 1], originals.slice(copies.length));
+    }
+
+    return pairs;
+}
+
+/**
+ * Keeps only the text before the cut point, removing every node after it.
+ *
+ * @param {Node} root - The node tree to shorten in place
+ * @param {{node: Text, offset: number}} cut - The cut point inside the tree
+ * @returns {Text} The text node the kept text now ends in
+ */
+function keepTextBefore(root, { node, offset }) {
+    node.data = node.data.slice(0, offset);
+    removeSiblings(node, root, 'nextSibling');
+    return node;
+}
+
+/**
+ * Counterpart of keepTextBefore(): keeps only the text after the cut point,
+ * removing every node before it.
+ *
+ * @param {Node} root - The node tree to shorten in place
+ * @param {{node: Text, offset: number}} cut - The cut point inside the tree
  * @returns {void}
  */
-function addStyle(styleString, cacheKey) {
-    // Check if styles with this cache key already exist in our global cache
-    if (CSS_CACHE.has(cacheKey)) {
-        return; // Styles already added, skip
+function keepTextAfter(root, { node, offset }) {
+    node.data = node.data.slice(offset);
+    removeSiblings(node, root, 'previousSibling');
+}
+
+/**
+ * Resolves the persist option into a storage adapter with get/set/remove.
+ * 'session' and 'local' wrap the Web Storage APIs; custom adapters are used as is.
+ *
+ * @param {string|Object} persist - 'session', 'local' or an adapter with get(key) and set(key, value)
+ * @returns {Object} The storage adapter
+ */
+function createStorageAdapter(persist) {
+    if (typeof persist === 'object') {
+        return persist;
     }
-    
-    // Check if styles with this cache key already exist in the DOM
-    const existingStyle = document.head.querySelector(`[data-readmore-lines-cache="${cacheKey}"]`);
-    if (existingStyle) {
-        CSS_CACHE.add(cacheKey); // Add to cache for future reference
-        return; // Styles already added, skip
+
+    const getStorage = () => (persist === 'local' ? window.localStorage : window.sessionStorage);
+
+    return {
+        get: key => getStorage().getItem(key),
+        set: (key, value) => getStorage().setItem(key, value),
+        remove: key => getStorage().removeItem(key)
+    };
+}
+
+/**
+ * Parses a JSON string, returning the raw string if it is not valid JSON.
+ *
+ * @param {string} value - The string to parse
+ * @returns {*} The parsed value or the original string
+ */
+function parseJSON(value) {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
     }
-    
-    const style = document.createElement('style');
-    style.textContent = styleString;
-    style.setAttribute('data-readmore-lines-cache', cacheKey);
-    document.head.append(style);
-    
-    // Add to cache to prevent future duplicates
-    CSS_CACHE.add(cacheKey);
 }
 
 /**
- * Gets the computed line height of an element in pixels with caching.
- * This function caches the computed line height to avoid repeated calculations.
- * 
- * @param {HTMLElement} element - The DOM element to get the line height from
- * @returns {number} The line height in pixels, or NaN if unable to determine
+ * Validates the limit options shared by readmore() and wouldTruncate(): linesLimit (a positive
+ * integer or a breakpoint map), mode, the mode's limit and measure.
+ *
+ * @param {Object} options - The limit options
+ * @returns {ReadMoreError|null} The error for the first invalid option, or null if all are valid
+ */
+function validateLimits({ mode, linesLimit, heightLimit, charsLimit, wordsLimit, measure }) {
+    const isBreakpointMap = typeof linesLimit === 'object' && linesLimit !== null && !Array.isArray(linesLimit);
+    if (isBreakpointMap) {
+        const values = Object.values(linesLimit);
+        if (!values.length || values.some(value => typeof value !== 'number' || value < 1 || !Number.isInteger(value))) {
+            return new ReadMoreError(ERROR_CODES.INVALID_LINES_LIMIT, 'ReadMore: linesLimit breakpoints must map to positive integers');
+        }
+
+        if (Object.keys(linesLimit).some(key => /[{};]/.test(key))) {
+            return new ReadMoreError(ERROR_CODES.INVALID_LINES_LIMIT, 'ReadMore: linesLimit breakpoint keys must be pixel widths or media queries');
+        }
+    } else if (linesLimit !== undefined && (typeof linesLimit !== 'number' || linesLimit < 1 || !Number.isInteger(linesLimit))) {
+        return new ReadMoreError(ERROR_CODES.INVALID_LINES_LIMIT, 'ReadMore: linesLimit must be a positive integer');
+    }
+
+    if (mode !== undefined && !TRUNCATION_MODES.includes(mode)) {
+        return new ReadMoreError(ERROR_CODES.INVALID_OPTION, `ReadMore: mode must be one of ${TRUNCATION_MODES.join(', ')}`);
+    }
+
+    if (heightLimit !== undefined &&
+        !(typeof heightLimit === 'number' && heightLimit > 0) &&
+        !(typeof heightLimit === 'string' && /^\d*\.?\d+[a-z%]*$/i.test(heightLimit))) {
+        return new ReadMoreError(ERROR_CODES.INVALID_OPTION, 'ReadMore: heightLimit must be a positive number or a CSS length');
+    }
+
+    if (charsLimit !== undefined && (typeof charsLimit !== 'number' || charsLimit < 1 || !Number.isInteger(charsLimit))) {
+        return new ReadMoreError(ERROR_CODES.INVALID_OPTION, 'ReadMore: charsLimit must be a positive integer');
+    }
+
+    if (wordsLimit !== undefined && (typeof wordsLimit !== 'number' || wordsLimit < 1 || !Number.isInteger(wordsLimit))) {
+        return new ReadMoreError(ERROR_CODES.INVALID_OPTION, 'ReadMore: wordsLimit must be a positive integer');
+    }
+
+    const MODE = mode || 'lines';
+    const MODE_LIMITS = { height: heightLimit, chars: charsLimit, words: wordsLimit };
+    if (MODE in MODE_LIMITS && MODE_LIMITS[MODE] === undefined) {
+        return new ReadMoreError(ERROR_CODES.INVALID_OPTION, `ReadMore: ${MODE}Limit is required in ${MODE} mode`);
+    }
+
+    if (measure !== undefined && typeof measure !== 'function') {
+        return new ReadMoreError(ERROR_CODES.INVALID_OPTION, 'ReadMore: measure must be a function');
+    }
+
+    return null;
+}
+
+/**
+ * Converts a linesLimit breakpoint map into an ordered list of media queries.
+ * Numeric keys are min-width breakpoints in pixels and are sorted ascending;
+ * other keys are used as media queries in their original order.
+ *
+ * @param {Object<string, number>} linesLimit - Breakpoint map, e.g. { 0: 3, 768: 6 }
+ * @returns {Array<{query: string, lines: number}>} The breakpoints, later entries taking precedence
  */
-function getLineHeight(element) {
-    // Check if line height is already cached for this element
-    if (LINE_HEIGHT_CACHE.has(element)) {
-        return LINE_HEIGHT_CACHE.get(element);
+function normalizeBreakpoints(linesLimit) {
+    const entries = Object.entries(linesLimit);
+    const isWidth = ([key]) => /^\d+$/.test(key);
+
+    return [
+        ...entries.filter(isWidth)
+            .sort(([a], [b]) => Number(a) - Number(b))
+            .map(([key, lines]) => ({ query: `(min-width: ${key}px)`, lines })),
+        ...entries.filter(entry => !isWidth(entry))
+            .map(([query, lines]) => ({ query, lines }))
+    ];
+}
+
+/**
+ * Gets the line limit that applies at the current viewport.
+ * For a breakpoint map, the last matching breakpoint wins; if none matches the content
+ * is not truncated. Without matchMedia the first breakpoint is used.
+ *
+ * @param {Object} config - Instance configuration
+ * @param {Window} [view=window] - The window whose viewport the media queries are evaluated against
+ * @returns {number} The active line limit
+ */
+function getActiveLinesLimit(config, view = window) {
+    const { breakpoints, linesLimit } = config;
+
+    if (!breakpoints) {
+        return linesLimit;
     }
-    
-    // Calculate line height and cache it
-    const lineHeight = parseInt(window.getComputedStyle(element).lineHeight, 10);
-    LINE_HEIGHT_CACHE.set(element, lineHeight);
-    
-    return lineHeight;
+
+    if (typeof view.matchMedia !== 'function') {
+        return breakpoints[0].lines;
+    }
+
+    const active = breakpoints.filter(({ query }) => view.matchMedia(query).matches).pop();
+    return active ? active.lines : Infinity;
 }
 
 /**
- * Calculates the number of lines of text in an element.
- * This is used to determine if the content exceeds the specified line limit.
- * 
- * @param {HTMLElement} element - The DOM element to count lines in
- * @returns {number} The number of lines, or NaN if unable to calculate
+ * Builds the cache key for the styles of an instance configuration.
+ *
+ * @param {Object} config - Instance configuration
+ * @returns {string} The cache key
  */
-function countLines(element) {
-    // Validate input
-    if (!element || !(element instanceof HTMLElement)) {
-        return NaN;
+function getStyleCacheKey({ targetClass, mode, linesLimit, heightLimit, breakpoints }) {
+    if (breakpoints && mode === 'lines') {
+        const serialized = breakpoints.map(({ query, lines }) => `${query}:${lines}`).join('_');
+        return `readmore-lines-styles-${targetClass}-${serialized.replace(/[^\w:-]+/g, '')}`;
     }
-    
-    const divHeight = element.offsetHeight;
-    const lineHeight = getLineHeight(element);
-    
-    // Return NaN if either height or line height cannot be determined
-    if (isNaN(lineHeight) || isNaN(divHeight) || lineHeight <= 0 || divHeight <= 0) {
-        return NaN;
+
+    if (mode === 'height') {
+        return `readmore-lines-styles-${targetClass}-height-${heightLimit}`;
     }
-    
-    return Math.round(divHeight / lineHeight);
+
+    if (TEXT_MODES.includes(mode) || mode === 'rich') {
+        return `readmore-lines-styles-${targetClass}-${mode}`;
+    }
+
+    return `readmore-lines-styles-${targetClass}-${linesLimit}`;
 }
 
 /**
@@ -273,31 +2941,95 @@ function countLines(element) {
  * - CSS styles are cached to prevent duplicate additions
  * - Line height calculations are cached per element
  * - Uses WeakMap for automatic garbage collection of cached values
+ * - Resize re-evaluation is batched per animation frame via ResizeObserver
  * 
  * Accessibility features:
  * - Uses semantic button element instead of anchor
  * - Includes aria-expanded attribute for screen readers
- * - Supports keyboard navigation (Enter and Space keys)
+ * - Supports keyboard navigation (Enter and Space keys) for non-button toggle elements
+ * - Optional a11y enhancements: descriptive labels, live announcements and focus management
  * - Automatically assigns unique IDs for aria-controls
  * 
+ * Lifecycle events:
+ * - `readmore:beforeexpand`, `readmore:expand`, `readmore:beforecollapse`, `readmore:collapse`,
+ *   `readmore:init` and `readmore:destroy` CustomEvents are dispatched on the target element
+ * - The `before*` events are cancelable with preventDefault()
+ * 
  * @param {Object} options - Configuration object for the readmore functionality
  * @param {HTMLElement} options.targetElement - The DOM element to apply readmore functionality to (required, must have a parent node)
- * @param {string} [options.readMoreLabel='Read more...'] - Text for the "read more" button (must be a string if provided)
- * @param {string} [options.readLessLabel='Read less'] - Text for the "read less" button (must be a string if provided)
+ * @param {string|Function} [options.readMoreLabel] - Text for the "read more" button (defaults to the locale's label, 'Read more...'),
+ *   or a function called with { expanded, hiddenLines, locale, plural } returning it
+ * @param {string|Function} [options.readLessLabel] - Text for the "read less" button (defaults to the locale's label, 'Read less'),
+ *   or a function like readMoreLabel
+ * @param {string} [options.locale] - Locale for the default labels, e.g. 'de' or 'pt-BR', or 'auto' to use the closest lang attribute
+ * @param {string|Node} [options.readMoreContent] - Rich "read more" content, an HTML string or a node to clone (overrides readMoreLabel)
+ * @param {string|Node} [options.readLessContent] - Rich "read less" content, an HTML string or a node to clone (overrides readLessLabel)
+ * @param {string|Function} [options.buttonTemplate] - HTML string for the button, or a function returning an element for a given state ({ expanded, label })
+ * @param {HTMLElement} [options.buttonElement] - Existing element to use as the toggle; it is not moved and is left in place on destroy
+ * @param {string|HTMLElement} [options.placement='after'] - Where to put the button: 'after' or 'before' the target,
+ *     'inline' over the end of the last visible line, or at the end of a container element (or selector)
  * @param {string} [options.targetClass='read-more-target'] - CSS class to apply to the target element (must be a string if provided)
  * @param {string} [options.linkClass='read-more-link'] - CSS class to apply to the toggle button (must be a string if provided)
- * @param {number} [options.linesLimit=8] - Maximum number of lines to show before truncating (must be a positive integer if provided)
- * @returns {void} Returns early with error logging if validation fails
- * @throws {Error} Logs errors to console for invalid inputs
+ * @param {string} [options.idPrefix='readmore-content'] - Prefix for the id generated for a target element without one
+ * @param {number|Object<string, number>} [options.linesLimit=8] - Maximum number of lines to show before truncating (a positive integer,
+ *     or a breakpoint map keyed by min-width in pixels or by media query, e.g. { 0: 3, 768: 6, 1200: 10 })
+ * @param {string} [options.mode='lines'] - Truncation mode: 'lines', 'height', 'chars', 'words' or 'rich' (linesLimit counted
+ *     as rendered line boxes across nested elements, clipped with max-height)
+ * @param {number|string} [options.heightLimit] - Maximum height in pixels or as a CSS length (required in height mode)
+ * @param {number} [options.charsLimit] - Number of characters to show (required in chars mode, must be a positive integer)
+ * @param {number} [options.wordsLimit] - Number of words to show (required in words mode, must be a positive integer)
+ * @param {Function} [options.measure] - Custom line counting for lines mode: called with the target element, returns the number of lines
+ * @param {boolean} [options.observeMutations=false] - Re-check truncation automatically when the target's content changes (must be a boolean if provided)
+ * @param {boolean|Object} [options.fade=false] - Fade out the last visible lines with a gradient mask while collapsed
+ * @param {number|string} [options.fade.height] - Height of the gradient in pixels or as a CSS length (defaults to --readmore-fade-height)
+ * @param {boolean|Object} [options.animate=false] - Animate height when toggling; true for defaults or an object with settings
+ * @param {number} [options.animate.duration=300] - Transition duration in milliseconds (must be a non-negative number if provided)
+ * @param {string} [options.animate.easing='ease'] - CSS timing function for the transition (must be a string if provided)
+ * @param {Function} [options.onBeforeExpand] - Called with the instance before expanding; return false to cancel
+ * @param {Function} [options.onExpand] - Called with the instance after expanding
+ * @param {Function} [options.onBeforeCollapse] - Called with the instance before collapsing; return false to cancel
+ * @param {Function} [options.onCollapse] - Called with the instance after collapsing
+ * @param {Function} [options.onInit] - Called with the instance once initialization completes
+ * @param {Function} [options.onDestroy] - Called with the instance before it is destroyed
+ * @param {string|ReadMoreGroup} [options.group] - Accordion group name or object; expanding one member collapses the others
+ * @param {string|Object} [options.persist] - Persist the expanded state: 'session', 'local' or an adapter with get(key) and set(key, value)
+ * @param {string} [options.stateKey] - Key for the persisted state (defaults to the target element's id)
+ * @param {boolean|Object} [options.deepLink=false] - Expand the content when the URL hash targets it or an element inside it
+ * @param {boolean|Object} [options.deepLink.scroll=true] - Scroll the targeted element into view (or scrollIntoView options)
+ * @param {boolean} [options.deepLink.updateHash=false] - Point the URL hash at the target when the user expands it
+ * @param {boolean} [options.autoExpand=false] - Expand when focus or find-in-page lands in the hidden part of the content
+ * @param {boolean|Object} [options.a11y=false] - Accessibility enhancements: true for defaults or an object with settings
+ * @param {string} [options.a11y.label] - What the content is about, added to the button's aria-label ("Read more: <label>")
+ * @param {boolean} [options.a11y.heading=true] - Without a label, point aria-describedby at the content's heading
+ * @param {boolean} [options.a11y.announce=true] - Announce expanding and collapsing in a polite live region
+ * @param {string|boolean} [options.a11y.focus='button'] - Focus after a user toggle: 'button', 'content' or false
+ * @param {Object} [options.a11y.messages] - Announcement texts: expanded, expandedLines (a string with {count} or a
+ *   function receiving { count, locale, plural }) and collapsed
+ * @param {boolean} [options.adoptStyles=false] - Add the styles as a constructed stylesheet (adoptedStyleSheets) where supported
+ * @param {boolean} [options.injectStyles=true] - Add the styles at runtime; false relies on the static stylesheet (src/readmore.css),
+ *   configured through custom properties set on the target
+ * @param {string} [options.cspNonce] - Nonce for injected style elements, for a Content-Security-Policy without 'unsafe-inline'
+ * @param {boolean} [options.strict=false] - Throw a ReadMoreError instead of logging when initialization fails
+ * @param {Function} [options.onError] - Called with the ReadMoreError when initialization fails in non-strict mode
+ * @returns {ReadMoreInstance|null} The instance (its isTruncated is false while the content fits), or null if initialization failed
+ * @throws {ReadMoreError} In strict mode, for invalid inputs or an already initialized element
  * 
  * @example
  * // Basic usage
- * readmore({
+ * const instance = readmore({
  *     targetElement: document.getElementById('my-text'),
  *     linesLimit: 5
  * });
  * 
  * @example
+ * // Strict mode
+ * try {
+ *     readmore({ targetElement: element, strict: true });
+ * } catch (error) {
+ *     if (error.code === 'ALREADY_INITIALIZED') { ... }
+ * }
+ * 
+ * @example
  * // Custom configuration
  * readmore({
  *     targetElement: document.querySelector('.content'),
@@ -310,81 +3042,369 @@ function readmore({
     targetElement,
     readMoreLabel,
     readLessLabel,
+    locale,
+    readMoreContent,
+    readLessContent,
+    buttonTemplate,
+    buttonElement,
+    placement,
     targetClass,
     linkClass,
-    linesLimit
-}) {
+    idPrefix,
+    linesLimit,
+    mode,
+    heightLimit,
+    charsLimit,
+    wordsLimit,
+    measure,
+    observeMutations,
+    fade,
+    animate,
+    group,
+    persist,
+    stateKey,
+    deepLink,
+    autoExpand,
+    a11y,
+    adoptStyles,
+    injectStyles,
+    cspNonce,
+    onBeforeExpand,
+    onExpand,
+    onBeforeCollapse,
+    onCollapse,
+    onInit,
+    onDestroy,
+    strict,
+    onError
+} = {}) {
+    // Report a failure: throw in strict mode, otherwise log and notify onError
+    const fail = (code, message, level = 'error') => {
+        const error = new ReadMoreError(code, message);
+
+        if (strict === true) {
+            throw error;
+        }
+
+        console[level](message);
+        if (typeof onError === 'function') {
+            onError(error);
+        }
+
+        return null;
+    };
+
+    if (strict !== undefined && typeof strict !== 'boolean') {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: strict must be a boolean');
+    }
+
+    if (onError !== undefined && typeof onError !== 'function') {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: onError must be a function');
+    }
+
     // Input validation for targetElement
     if (!targetElement) {
-        console.error('ReadMore: targetElement is required and cannot be null or undefined');
-        return;
+        return fail(ERROR_CODES.INVALID_TARGET, 'ReadMore: targetElement is required and cannot be null or undefined');
     }
     
-    if (!(targetElement instanceof HTMLElement)) {
-        console.error('ReadMore: targetElement must be a valid HTMLElement');
-        return;
+    if (!isHTMLElement(targetElement)) {
+        return fail(ERROR_CODES.INVALID_TARGET, 'ReadMore: targetElement must be a valid HTMLElement');
     }
     
     if (!targetElement.parentNode) {
-        console.error('ReadMore: targetElement must have a parent node to insert the toggle link');
-        return;
+        return fail(ERROR_CODES.NO_PARENT, 'ReadMore: targetElement must have a parent node to insert the toggle link');
     }
     
-    // Validate linesLimit if provided
-    if (linesLimit !== undefined && (typeof linesLimit !== 'number' || linesLimit < 1 || !Number.isInteger(linesLimit))) {
-        console.error('ReadMore: linesLimit must be a positive integer');
-        return;
+    // Validate linesLimit, the truncation mode and its limit
+    const limitError = validateLimits({ mode, linesLimit, heightLimit, charsLimit, wordsLimit, measure });
+    if (limitError) {
+        return fail(limitError.code, limitError.message);
     }
+
+    const MODE = mode || 'lines';
+    const isBreakpointMap = typeof linesLimit === 'object' && linesLimit !== null;
     
     // Validate string parameters
-    if (readMoreLabel !== undefined && typeof readMoreLabel !== 'string') {
-        console.error('ReadMore: readMoreLabel must be a string');
-        return;
+    if (readMoreLabel !== undefined && typeof readMoreLabel !== 'string' && typeof readMoreLabel !== 'function') {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: readMoreLabel must be a string or a function');
     }
     
-    if (readLessLabel !== undefined && typeof readLessLabel !== 'string') {
-        console.error('ReadMore: readLessLabel must be a string');
-        return;
+    if (readLessLabel !== undefined && typeof readLessLabel !== 'string' && typeof readLessLabel !== 'function') {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: readLessLabel must be a string or a function');
+    }
+
+    if (locale !== undefined && (typeof locale !== 'string' || !locale.trim())) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: locale must be a non-empty string');
     }
     
+    // Validate button customization
+    for (const [name, content] of Object.entries({ readMoreContent, readLessContent })) {
+        if (content !== undefined && typeof content !== 'string' && !(content instanceof Node)) {
+            return fail(ERROR_CODES.INVALID_OPTION, `ReadMore: ${name} must be an HTML string or a Node`);
+        }
+    }
+
+    if (buttonTemplate !== undefined && typeof buttonTemplate !== 'string' && typeof buttonTemplate !== 'function') {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: buttonTemplate must be an HTML string or a function');
+    }
+
+    if (buttonElement !== undefined && !isHTMLElement(buttonElement)) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: buttonElement must be an HTMLElement');
+    }
+
+    if (buttonElement !== undefined && buttonTemplate !== undefined) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: buttonElement and buttonTemplate cannot be combined');
+    }
+
+    // Resolve placement: a keyword, or a container element given directly or by selector
+    let PLACEMENT = placement === undefined ? 'after' : placement;
+    if (!PLACEMENTS.includes(PLACEMENT)) {
+        let container = null;
+
+        if (isHTMLElement(placement)) {
+            container = placement;
+        } else if (typeof placement === 'string' && placement !== '') {
+            try {
+                container = getStyleRoot(targetElement).querySelector(placement);
+            } catch {
+                container = null;
+            }
+        }
+
+        if (!container) {
+            return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: placement must be \'after\', \'before\', \'inline\', an element or a selector matching one');
+        }
+
+        PLACEMENT = container;
+    }
+
     if (targetClass !== undefined && typeof targetClass !== 'string') {
-        console.error('ReadMore: targetClass must be a string');
-        return;
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: targetClass must be a string');
     }
     
     if (linkClass !== undefined && typeof linkClass !== 'string') {
-        console.error('ReadMore: linkClass must be a string');
-        return;
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: linkClass must be a string');
+    }
+
+    if (idPrefix !== undefined && (typeof idPrefix !== 'string' || !/^\S+$/.test(idPrefix))) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: idPrefix must be a non-empty string without whitespace');
+    }
+
+    if (observeMutations !== undefined && typeof observeMutations !== 'boolean') {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: observeMutations must be a boolean');
+    }
+
+    if (autoExpand !== undefined && typeof autoExpand !== 'boolean') {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: autoExpand must be a boolean');
+    }
+
+    if (adoptStyles !== undefined && typeof adoptStyles !== 'boolean') {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: adoptStyles must be a boolean');
+    }
+
+    if (injectStyles !== undefined && typeof injectStyles !== 'boolean') {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: injectStyles must be a boolean');
+    }
+
+    if (cspNonce !== undefined && (typeof cspNonce !== 'string' || !cspNonce.trim())) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: cspNonce must be a non-empty string');
+    }
+
+    // Validate fade if provided
+    if (fade !== undefined && typeof fade !== 'boolean' && (typeof fade !== 'object' || fade === null)) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: fade must be a boolean or an object');
+    }
+
+    if (fade && fade.height !== undefined &&
+        !(typeof fade.height === 'number' && fade.height > 0) &&
+        !(typeof fade.height === 'string' && /^\d*\.?\d+[a-z%]*$/i.test(fade.height))) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: fade.height must be a positive number or a CSS length');
+    }
+
+    // Validate animate if provided
+    if (animate !== undefined && typeof animate !== 'boolean' && (typeof animate !== 'object' || animate === null)) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: animate must be a boolean or an object');
+    }
+
+    if (animate && typeof animate === 'object') {
+        if (animate.duration !== undefined && (typeof animate.duration !== 'number' || !(animate.duration >= 0))) {
+            return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: animate.duration must be a non-negative number');
+        }
+
+        if (animate.easing !== undefined && typeof animate.easing !== 'string') {
+            return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: animate.easing must be a string');
+        }
+    }
+
+    // Validate group if provided
+    if (group !== undefined && !(group instanceof ReadMoreGroup) && !(typeof group === 'string' && group !== '')) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: group must be a non-empty string or a ReadMoreGroup');
+    }
+
+    // Validate persistence settings if provided
+    if (persist !== undefined && persist !== 'session' && persist !== 'local' &&
+        !(typeof persist === 'object' && persist !== null && typeof persist.get === 'function' && typeof persist.set === 'function')) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: persist must be \'session\', \'local\' or an object with get and set methods');
+    }
+
+    if (stateKey !== undefined && (typeof stateKey !== 'string' || stateKey === '')) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: stateKey must be a non-empty string');
+    }
+
+    // Persisted state needs a key that is stable across page loads
+    const STATE_KEY = stateKey || targetElement.id;
+    if (persist !== undefined && !STATE_KEY) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: persist requires a stateKey or a target element id');
+    }
+
+    // Validate deepLink if provided
+    if (deepLink !== undefined && typeof deepLink !== 'boolean' && (typeof deepLink !== 'object' || deepLink === null)) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: deepLink must be a boolean or an object');
+    }
+
+    // Validate a11y if provided
+    if (a11y !== undefined && typeof a11y !== 'boolean' && (typeof a11y !== 'object' || a11y === null)) {
+        return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: a11y must be a boolean or an object');
+    }
+
+    if (a11y && typeof a11y === 'object') {
+        if (a11y.label !== undefined && typeof a11y.label !== 'string') {
+            return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: a11y.label must be a string');
+        }
+
+        if (a11y.focus !== undefined && !['button', 'content', false].includes(a11y.focus)) {
+            return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: a11y.focus must be \'button\', \'content\' or false');
+        }
+    }
+
+    // Validate lifecycle callbacks
+    const callbacks = { onBeforeExpand, onExpand, onBeforeCollapse, onCollapse, onInit, onDestroy };
+    for (const [name, callback] of Object.entries(callbacks)) {
+        if (callback !== undefined && typeof callback !== 'function') {
+            return fail(ERROR_CODES.INVALID_OPTION, `ReadMore: ${name} must be a function`);
+        }
     }
     
     // Set default values for configuration options
     const LINES_LIMIT = linesLimit || 8;
     const READ_MORE_LINK_CLASS = linkClass || 'read-more-link';
     const READ_MORE_TARGET_CLASS = targetClass || 'read-more-target';
-    const READ_MORE_LABEL = readMoreLabel || 'Read more...';
-    const READ_LESS_LABEL = readLessLabel || 'Read less';
+    const LOCALE = resolveLocale(locale, targetElement);
+    const READ_MORE_LABEL = readMoreLabel || LOCALE.bundle.readMore;
+    const READ_LESS_LABEL = readLessLabel || LOCALE.bundle.readLess;
 
-    // Early return if content doesn't exceed the line limit
-    if (countLines(targetElement) < LINES_LIMIT) {
-        return;
-    }
+    // Label functions are called again with the hidden line count once the content is measured
+    const INITIAL_LABEL = typeof READ_MORE_LABEL === 'function'
+        ? resolveLabel(READ_MORE_LABEL, { expanded: false, hiddenLines: NaN, locale: LOCALE.name })
+        : READ_MORE_LABEL;
 
     // Check if element already has a readmore instance
     if (hasReadMoreInstance(targetElement)) {
-        console.warn('ReadMore: Element already has readmore functionality. Use destroyReadMore() first to reinitialize.');
-        return;
+        return fail(
+            ERROR_CODES.ALREADY_INITIALIZED,
+            'ReadMore: Element already has readmore functionality. Use destroyReadMore() first to reinitialize.',
+            'warn'
+        );
+    }
+
+    // Render the button template before touching the DOM so a broken template changes nothing
+    let templateButton = null;
+    if (buttonTemplate !== undefined) {
+        templateButton = renderButtonTemplate(buttonTemplate, { expanded: false, label: INITIAL_LABEL });
+
+        if (!templateButton) {
+            return fail(ERROR_CODES.INVALID_OPTION, 'ReadMore: buttonTemplate must produce an element');
+        }
     }
 
-    // Ensure a local CSS scope on the container element
-    const scopeElement = targetElement.parentElement;
-    if (scopeElement && !scopeElement.hasAttribute('data-readmore-lines-scope')) {
-        scopeElement.setAttribute('data-readmore-lines-scope', '');
+    // Ensure a local CSS scope on the container element, and on the button container if it is elsewhere
+    const scopeElements = [targetElement.parentElement, isHTMLElement(PLACEMENT) ? PLACEMENT : null];
+    scopeElements.forEach(scopeElement => {
+        if (scopeElement && !scopeElement.hasAttribute('data-readmore-lines-scope')) {
+            scopeElement.setAttribute('data-readmore-lines-scope', '');
+        }
+    });
+
+    // Create instance configuration
+    const instanceConfig = {
+        targetClass: READ_MORE_TARGET_CLASS,
+        linkClass: READ_MORE_LINK_CLASS,
+        idPrefix: idPrefix || 'readmore-content',
+        readMoreLabel: READ_MORE_LABEL,
+        readLessLabel: READ_LESS_LABEL,
+        locale: LOCALE.name,
+        readMoreContent: readMoreContent !== undefined ? readMoreContent : null,
+        readLessContent: readLessContent !== undefined ? readLessContent : null,
+        buttonTemplate: buttonTemplate !== undefined ? buttonTemplate : null,
+        buttonElement: buttonElement || null,
+        placement: PLACEMENT,
+        linesLimit: LINES_LIMIT,
+        breakpoints: isBreakpointMap ? normalizeBreakpoints(linesLimit) : null,
+        mode: MODE,
+        heightLimit,
+        charsLimit,
+        wordsLimit,
+        measure: measure || null,
+        observeMutations: observeMutations === true,
+        fade: fade ? { ...(fade === true ? {} : fade) } : null,
+        animate: animate ? { ...ANIMATION_DEFAULTS, ...(animate === true ? {} : animate) } : null,
+        storage: persist !== undefined ? createStorageAdapter(persist) : null,
+        stateKey: persist !== undefined ? STATE_KEY : null,
+        deepLink: deepLink ? { ...DEEP_LINK_DEFAULTS, ...(deepLink === true ? {} : deepLink) } : null,
+        autoExpand: autoExpand === true,
+        adoptStyles: adoptStyles === true,
+        injectStyles: injectStyles !== false,
+        cspNonce: cspNonce || null,
+        a11y: a11y ? {
+            ...A11Y_DEFAULTS,
+            ...(a11y === true ? {} : a11y),
+            messages: { ...LOCALES.get(DEFAULT_LOCALE).messages, ...(LOCALE.bundle.messages || {}), ...(a11y.messages || {}) }
+        } : null,
+        onError,
+        ...callbacks
+    };
+
+    // Add CSS styles (scoped + themeable via CSS custom properties) to the target's document or shadow root
+    // Truncation styling depends on the mode; chars and words modes shorten the content itself
+    let truncationStyles = '';
+    if (MODE === 'lines' && instanceConfig.breakpoints) {
+        truncationStyles = instanceConfig.breakpoints.map(({ query, lines }) => `
+        @media ${query} {
+            [data-readmore-lines-scope] .${READ_MORE_TARGET_CLASS} {
+                display: -webkit-box;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                -webkit-line-clamp: ${lines};
+                -webkit-box-orient: vertical;
+            }
+        }`).join('');
+    } else if (MODE === 'lines') {
+        truncationStyles = `
+        [data-readmore-lines-scope] .${READ_MORE_TARGET_CLASS} {
+            display: -webkit-box;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            -webkit-line-clamp: ${LINES_LIMIT};
+            -webkit-box-orient: vertical;
+        }`;
+    } else if (MODE === 'rich') {
+        // The clip height is measured per instance and set as a custom property on the target
+        truncationStyles = `
+        [data-readmore-lines-scope] .${READ_MORE_TARGET_CLASS} {
+            max-height: var(--readmore-clip-height);
+            overflow: hidden;
+        }`;
+    } else if (MODE === 'height') {
+        truncationStyles = `
+        [data-readmore-lines-scope] .${READ_MORE_TARGET_CLASS} {
+            max-height: ${typeof heightLimit === 'number' ? `${heightLimit}px` : heightLimit};
+            overflow: hidden;
+        }`;
     }
 
-    // Add CSS styles (scoped + themeable via CSS custom properties)
-    // Create a unique cache key based on target class and line limit
-    const cssCacheKey = `readmore-lines-styles-${READ_MORE_TARGET_CLASS}-${LINES_LIMIT}`;
-    addStyle(`
+    // Create a unique cache key based on target class and truncation limit
+    const cssCacheKey = getStyleCacheKey(instanceConfig);
+    const styles = `
         /*
          * Scoped theme defaults. Override these on any ancestor with
          * [data-readmore-lines-scope] using custom properties.
@@ -400,15 +3420,17 @@ function readmore({
             --readmore-link-font-weight: 600;
             --readmore-focus-ring: 2px solid rgba(10, 132, 255, 0.35);
             --readmore-transition: color .15s ease, background-color .15s ease;
+            --readmore-fade-color: #fff;
+            --readmore-fade-width: 3em;
+            --readmore-fade-height: 3em;
         }
 
-        /* Truncation styling (scoped to container) */
-        [data-readmore-lines-scope] .${READ_MORE_TARGET_CLASS} {
-            display: -webkit-box;
-            overflow: hidden;
-            text-overflow: ellipsis;
-            -webkit-line-clamp: ${LINES_LIMIT};
-            -webkit-box-orient: vertical;
+        /* Truncation styling (scoped to container) */${truncationStyles}
+
+        /* Optional fade: mask out the last visible lines while collapsed */
+        [data-readmore-lines-scope] .${READ_MORE_TARGET_CLASS}[data-readmore-fade] {
+            -webkit-mask-image: linear-gradient(to bottom, #000 calc(100% - var(--readmore-fade-height)), transparent);
+            mask-image: linear-gradient(to bottom, #000 calc(100% - var(--readmore-fade-height)), transparent);
         }
 
         /* Toggle button baseline styles (accessible, themeable) */
@@ -418,8 +3440,10 @@ function readmore({
             background: var(--readmore-link-bg);
             color: var(--readmore-link-color);
             border: none;
-            padding: var(--readmore-link-padding-y) var(--readmore-link-padding-x);
-            margin: 0.25rem 0 0 0;
+            padding-block: var(--readmore-link-padding-y);
+            padding-inline: var(--readmore-link-padding-x);
+            margin-block: 0.25rem 0;
+            margin-inline: 0;
             font: inherit;
             font-weight: var(--readmore-link-font-weight);
             text-decoration: none;
@@ -440,104 +3464,274 @@ function readmore({
             outline-offset: 2px;
         }
 
+        /* Inline placement: pulled up over the end of the last visible line, fading out the text beneath */
+        [data-readmore-lines-scope] .${READ_MORE_LINK_CLASS}[data-readmore-inline] {
+            position: relative;
+            display: block;
+            width: fit-content;
+            margin-block: -1.5em 0;
+            margin-block-start: -1lh;
+            margin-inline: auto 0;
+            padding-block: 0;
+            line-height: inherit;
+            border-radius: 0;
+            background: var(--readmore-fade-color);
+        }
+
+        [data-readmore-lines-scope] .${READ_MORE_LINK_CLASS}[data-readmore-inline]::before {
+            content: '';
+            position: absolute;
+            top: 0;
+            bottom: 0;
+            inset-inline-end: 100%;
+            width: var(--readmore-fade-width);
+            background: linear-gradient(to right, transparent, var(--readmore-fade-color));
+            pointer-events: none;
+        }
+
+        /* Right-to-left content: the button sits at the start of the line, so the fade runs the other way */
+        [data-readmore-lines-scope] .${READ_MORE_LINK_CLASS}[data-readmore-inline][dir="rtl"]::before {
+            background: linear-gradient(to left, transparent, var(--readmore-fade-color));
+        }
+
         /* Respect reduced motion preferences */
         @media (prefers-reduced-motion: reduce) {
             [data-readmore-lines-scope] .${READ_MORE_LINK_CLASS} {
                 transition: none;
             }
         }
-    `, cssCacheKey);
+    `;
 
-    // Create the toggle link element with accessibility attributes
-    const readMoreLink = document.createElement('button');
-    readMoreLink.type = 'button';
-    readMoreLink.innerText = READ_MORE_LABEL;
-    readMoreLink.classList.add(READ_MORE_LINK_CLASS);
-    
-    // Add accessibility attributes
-    readMoreLink.setAttribute('aria-expanded', 'false');
-    readMoreLink.setAttribute('aria-controls', targetElement.id || `readmore-content-${Date.now()}`);
-    readMoreLink.setAttribute('role', 'button');
-    
-    // Ensure target element has an ID for aria-controls
-    if (!targetElement.id) {
-        targetElement.id = `readmore-content-${Date.now()}`;
+    // Pages that ship the static stylesheet (readmore.css) skip the injection, e.g. under a strict CSP
+    if (instanceConfig.injectStyles) {
+        addStyle(styles, cssCacheKey, {
+            root: getStyleRoot(targetElement),
+            adopt: instanceConfig.adoptStyles,
+            nonce: instanceConfig.cspNonce
+        });
     }
 
-    try {
-        // Insert the link after the target element with error handling
-        targetElement.parentNode.insertBefore(readMoreLink, targetElement.nextSibling);
-
-        // Apply the truncation class to the target element
-        targetElement.classList.add(READ_MORE_TARGET_CLASS);
-    } catch (error) {
-        console.error('ReadMore: Failed to insert toggle link', error);
+    // Use the existing element or the rendered template, or create a plain toggle button
+    let readMoreLink = buttonElement || templateButton;
+    if (!readMoreLink) {
+        readMoreLink = document.createElement('button');
+        readMoreLink.innerText = INITIAL_LABEL;
     }
     
-    // Create instance configuration
-    const instanceConfig = {
-        targetClass: READ_MORE_TARGET_CLASS,
-        linkClass: READ_MORE_LINK_CLASS,
-        readMoreLabel: READ_MORE_LABEL,
-        readLessLabel: READ_LESS_LABEL,
-        linesLimit: LINES_LIMIT
-    };
-
     // Create readmore instance
     const instance = new ReadMoreInstance(targetElement, readMoreLink, instanceConfig);
 
-    // Toggle functionality
-    const toggleContent = () => {
-        // Toggle the truncation class
-        targetElement.classList.toggle(READ_MORE_TARGET_CLASS);
-        
-        // Update aria-expanded attribute
-        const isExpanded = !targetElement.classList.contains(READ_MORE_TARGET_CLASS);
-        readMoreLink.setAttribute('aria-expanded', isExpanded.toString());
-        
-        // Update link text based on current state
-        if (targetElement.classList.contains(READ_MORE_TARGET_CLASS)) {
-            readMoreLink.innerText = READ_MORE_LABEL;
-        } else {
-            readMoreLink.innerText = READ_LESS_LABEL;
+    // Ensure the target has an id before aria-controls references it, then add class and accessibility attributes
+    instance.ensureTargetId();
+    instance.setupAccessibility();
+    instance.prepareButton();
+
+    // Toggle on user interaction, pointing the URL hash at expanded content and moving focus if configured
+    const toggleByUser = () => {
+        if (!instance.toggle()) return;
+
+        if (instance.isExpanded) {
+            instance.updateHash();
         }
+        instance.moveFocus();
     };
 
     // Add click event listener for toggle functionality
     const clickHandler = (event) => {
         event.preventDefault();
-        toggleContent();
-    };
-
-    // Add keyboard event listener for accessibility
-    const keydownHandler = (event) => {
-        // Handle Enter and Space keys
-        if (event.key === 'Enter' || event.key === ' ') {
-            event.preventDefault();
-            toggleContent();
-        }
+        toggleByUser();
     };
 
     // Register event listeners through instance management
     instance.addEventListener('click', clickHandler);
-    instance.addEventListener('keydown', keydownHandler);
+
+    // Native buttons turn Enter and Space into clicks; other elements need a keyboard handler
+    if (readMoreLink.tagName !== 'BUTTON') {
+        instance.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                toggleByUser();
+            }
+        });
+    }
 
     // Store instance for cleanup
     READMORE_INSTANCES.set(targetElement, instance);
 
+    // Join the accordion group
+    if (group !== undefined) {
+        (typeof group === 'string' ? createReadMoreGroup(group) : group).add(instance);
+    }
+
     // Mark element as having readmore functionality enabled
     targetElement.dataset.readmoreLinesEnabled = '1';
+
+    // Enable the fade mask, which applies together with the truncation class
+    if (instanceConfig.fade) {
+        targetElement.dataset.readmoreFade = '';
+
+        const { height } = instanceConfig.fade;
+        if (height !== undefined) {
+            targetElement.style.setProperty('--readmore-fade-height', typeof height === 'number' ? `${height}px` : height);
+        }
+    }
+
+    // Insert the toggle button only if content exceeds the line limit
+    instance.refresh();
+
+    // Restore a persisted expanded state
+    instance.restoreState();
+
+    // Expand if the URL hash points at the content, and keep following hash changes
+    instance.revealHash();
+    instance.observeHash();
+
+    // Expand when focus or find-in-page lands in the hidden part
+    instance.observeReveal();
+
+    // Re-evaluate whenever the target or its container is resized
+    instance.observeResize();
+
+    // Re-evaluate whenever the active linesLimit breakpoint changes
+    instance.observeBreakpoints();
+
+    // Optionally re-evaluate whenever the target's content changes
+    if (instanceConfig.observeMutations) {
+        instance.observeContent();
+    }
+
+    instance.emit('init');
+
+    return instance;
+}
+
+/**
+ * Applies readmore functionality to multiple elements with shared options.
+ * Elements that already have a readmore instance are skipped.
+ * 
+ * @param {string|HTMLElement|NodeList|HTMLCollection|HTMLElement[]} targets - CSS selector, element or list of elements
+ * @param {Object} [options={}] - Shared options, same as readmore() without targetElement
+ * @returns {ReadMoreCollection} Controller for the created instances
+ * 
+ * @example
+ * const reviews = readmoreAll('.review-text', { linesLimit: 3 });
+ * reviews.expandAll();
+ * reviews.destroy();
+ */
+function readmoreAll(targets, options = {}) {
+    const instances = [];
+
+    resolveElements(targets).forEach(targetElement => {
+        if (hasReadMoreInstance(targetElement)) {
+            return;
+        }
+
+        const instance = readmore({ ...options, targetElement });
+        if (instance) {
+            instances.push(instance);
+        }
+    });
+
+    return new ReadMoreCollection(instances);
+}
+
+/**
+ * Reads readmore options from an element's data attributes.
+ *
+ * @param {HTMLElement} element - The element to read attributes from
+ * @returns {Object} Options for the attributes that are present
+ */
+function readDataOptions(element) {
+    const options = {};
+
+    Object.entries(DATA_ATTRIBUTE_OPTIONS).forEach(([key, [option, parse]]) => {
+        if (element.dataset[key] !== undefined) {
+            options[option] = parse(element.dataset[key]);
+        }
+    });
+
+    return options;
+}
+
+/**
+ * Initializes readmore on every `[data-readmore-lines]` element, reading per-element options
+ * from data attributes (`data-readmore-lines-limit`, `data-readmore-more-label`,
+ * `data-readmore-less-label`, `data-readmore-target-class`, `data-readmore-link-class`,
+ * `data-readmore-mode`, `data-readmore-height-limit`, `data-readmore-chars-limit`,
+ * `data-readmore-words-limit`, `data-readmore-observe-mutations`, `data-readmore-animate`,
+ * `data-readmore-group`, `data-readmore-persist`, `data-readmore-state-key`,
+ * `data-readmore-deep-link`, `data-readmore-auto-expand`,
+ * `data-readmore-placement`, `data-readmore-fade`, `data-readmore-a11y`, `data-readmore-locale`).
+ * Data attributes take precedence over the shared options.
+ * 
+ * @param {Object} [options={}] - Shared options, same as readmore() without targetElement
+ * @param {Document|HTMLElement} [options.root=document] - Element to scan for matching elements
+ * @param {boolean} [options.observe=false] - Keep watching root for newly inserted matching elements
+ * @returns {ReadMoreCollection} Controller for the created instances; destroy() also stops watching
+ * 
+ * @example
+ * // <div data-readmore-lines data-readmore-lines-limit="3">...</div>
+ * autoInit({ observe: true });
+ */
+function autoInit({ root = document, observe = false, ...options } = {}) {
+    const collection = new ReadMoreCollection([]);
+
+    const initElement = (element) => {
+        if (hasReadMoreInstance(element)) {
+            return;
+        }
+
+        const instance = readmore({ ...options, ...readDataOptions(element), targetElement: element });
+        if (instance) {
+            collection.instances.push(instance);
+        }
+    };
+
+    resolveElements(root.querySelectorAll(AUTO_INIT_SELECTOR)).forEach(initElement);
+
+    if (observe && typeof MutationObserver !== 'undefined') {
+        collection.observer = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (!isHTMLElement(node)) {
+                        return;
+                    }
+
+                    if (node.matches(AUTO_INIT_SELECTOR)) {
+                        initElement(node);
+                    }
+
+                    resolveElements(node.querySelectorAll(AUTO_INIT_SELECTOR)).forEach(initElement);
+                });
+            });
+        });
+        collection.observer.observe(root, { childList: true, subtree: true });
+    }
+
+    return collection;
 }
 
 // Export all functions
 export { 
+    ReadMoreError,
+    ERROR_CODES as READMORE_ERROR_CODES,
+    readmoreAll,
+    autoInit,
+    createReadMoreGroup,
+    getReadMoreGroup,
     destroyReadMore, 
+    expandReadMore,
+    collapseReadMore,
     hasReadMoreInstance, 
     getReadMoreInstance,
     clearReadMoreCache,
     isStyleCached,
     isLineHeightCached,
     invalidateLineHeightCache,
-    invalidateStyleCache
+    invalidateStyleCache,
+    countLines,
+    getLineHeight,
+    wouldTruncate,
+    registerLocale
 };
 export default readmore;
\ No newline at end of file
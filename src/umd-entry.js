@@ -1,18 +1,38 @@
 // UMD entry to expose a callable global readmore() while preserving utilities on it.
 // Import default and named exports from the main module
 import readmore, {
+    ReadMoreError,
+    READMORE_ERROR_CODES,
+    readmoreAll,
+    autoInit,
+    createReadMoreGroup,
+    getReadMoreGroup,
     destroyReadMore,
+    expandReadMore,
+    collapseReadMore,
     hasReadMoreInstance,
     getReadMoreInstance,
     clearReadMoreCache,
     isStyleCached,
     isLineHeightCached,
     invalidateLineHeightCache,
-    invalidateStyleCache
+    invalidateStyleCache,
+    countLines,
+    getLineHeight,
+    wouldTruncate,
+    registerLocale
 } from './readmore.js';
 
 // Attach utilities as properties on the default function for UMD consumers
+readmore.ReadMoreError = ReadMoreError;
+readmore.READMORE_ERROR_CODES = READMORE_ERROR_CODES;
+readmore.readmoreAll = readmoreAll;
+readmore.autoInit = autoInit;
+readmore.createReadMoreGroup = createReadMoreGroup;
+readmore.getReadMoreGroup = getReadMoreGroup;
 readmore.destroyReadMore = destroyReadMore;
+readmore.expandReadMore = expandReadMore;
+readmore.collapseReadMore = collapseReadMore;
 readmore.hasReadMoreInstance = hasReadMoreInstance;
 readmore.getReadMoreInstance = getReadMoreInstance;
 readmore.clearReadMoreCache = clearReadMoreCache;
@@ -20,6 +40,25 @@ readmore.isStyleCached = isStyleCached;
 readmore.isLineHeightCached = isLineHeightCached;
 readmore.invalidateLineHeightCache = invalidateLineHeightCache;
 readmore.invalidateStyleCache = invalidateStyleCache;
+readmore.countLines = countLines;
+readmore.getLineHeight = getLineHeight;
+readmore.wouldTruncate = wouldTruncate;
+readmore.registerLocale = registerLocale;
+
+// Run autoInit() on DOMContentLoaded when loaded via <script data-readmore-auto-init>.
+// Use data-readmore-auto-init="observe" to keep watching for newly inserted elements.
+const currentScript = typeof document !== 'undefined' ? document.currentScript : null;
+if (currentScript && currentScript.hasAttribute('data-readmore-auto-init')) {
+    const run = () => autoInit({
+        observe: currentScript.getAttribute('data-readmore-auto-init') === 'observe'
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', run, { once: true });
+    } else {
+        run();
+    }
+}
 
 // Export only the default for UMD so global is callable: readmore()
 export default readmore;
@@ -3,14 +3,28 @@
  */
 
 import readmore, { 
+    ReadMoreError,
+    READMORE_ERROR_CODES,
+    readmoreAll,
+    autoInit,
+    createReadMoreGroup,
+    getReadMoreGroup,
     destroyReadMore, 
+    expandReadMore,
+    collapseReadMore,
     hasReadMoreInstance, 
     getReadMoreInstance,
     clearReadMoreCache,
     isStyleCached,
     isLineHeightCached,
-    invalidateLineHeightCache
+    invalidateLineHeightCache,
+    countLines,
+    getLineHeight,
+    wouldTruncate,
+    registerLocale
 } from '../src/readmore.js';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
 
 describe('ReadMore', () => {
     let container;
@@ -30,6 +44,9 @@ describe('ReadMore', () => {
 
     afterEach(() => {
         document.body.innerHTML = '';
+
+        // Instances of removed elements are never destroyed, so reset the shared styles they still reference
+        clearReadMoreCache();
     });
 
     describe('Basic functionality', () => {
@@ -50,7 +67,7 @@ describe('ReadMore', () => {
             expect(button.classList.contains('read-more-link')).toBe(true);
             expect(button.innerText).toBe('Read more...');
             expect(button.getAttribute('aria-expanded')).toBe('false');
-            expect(button.getAttribute('role')).toBe('button');
+            expect(button.hasAttribute('role')).toBe(false);
             expect(button.getAttribute('aria-controls')).toBe(targetElement.id);
         });
 
@@ -160,9 +177,22 @@ describe('ReadMore', () => {
             expect(preventDefaultSpy).toHaveBeenCalled();
         });
 
-        test('should support keyboard navigation with Enter key', () => {
+        test('should leave Enter and Space on the native button to its click activation', () => {
             readmore({ targetElement });
             
+            const button = targetElement.nextElementSibling;
+            const enterEvent = new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true });
+            
+            button.dispatchEvent(enterEvent);
+            
+            // The browser turns the key into a click, so handling keydown too would toggle twice
+            expect(enterEvent.defaultPrevented).toBe(false);
+            expect(button.getAttribute('aria-expanded')).toBe('false');
+        });
+
+        test('should support keyboard navigation with Enter key on non-button toggles', () => {
+            readmore({ targetElement, buttonTemplate: '<span>Read more</span>' });
+            
             const button = targetElement.nextElementSibling;
             
             // Initial state
@@ -180,8 +210,8 @@ describe('ReadMore', () => {
             expect(targetElement.classList.contains('read-more-target')).toBe(false);
         });
 
-        test('should support keyboard navigation with Space key', () => {
-            readmore({ targetElement });
+        test('should support keyboard navigation with Space key on non-button toggles', () => {
+            readmore({ targetElement, buttonTemplate: '<span>Read more</span>' });
             
             const button = targetElement.nextElementSibling;
             
@@ -287,7 +317,7 @@ describe('ReadMore', () => {
         });
 
         test('should clean up event listeners on destroy', () => {
-            readmore({ targetElement });
+            readmore({ targetElement, buttonTemplate: '<span>Read more</span>' });
             const instance = getReadMoreInstance(targetElement);
             
             // Mock the removeEventListener method
@@ -340,6 +370,26 @@ describe('ReadMore', () => {
             // CSS cache should be cleared when no instances remain
             expect(isStyleCached(cacheKey)).toBe(false);
         });
+
+        test('should keep shared styles until the last instance using them is destroyed', () => {
+            container.insertAdjacentHTML('beforeend', '<div id="other">Short</div>');
+            const other = document.getElementById('other');
+            const cacheKey = 'readmore-lines-styles-read-more-target-8';
+
+            // The first instance fits, the second one is truncated; both use the same styles
+            const fitting = readmore({ targetElement: other, measure: () => 1 });
+            const truncated = readmore({ targetElement });
+            expect(fitting.isTruncated).toBe(false);
+
+            destroyReadMore(other);
+            expect(isStyleCached(cacheKey)).toBe(true);
+            expect(document.head.querySelectorAll(`[data-readmore-lines-cache="${cacheKey}"]`)).toHaveLength(1);
+            expect(truncated.isTruncated).toBe(true);
+
+            destroyReadMore(targetElement);
+            expect(isStyleCached(cacheKey)).toBe(false);
+            expect(document.head.querySelector(`[data-readmore-lines-cache="${cacheKey}"]`)).toBeNull();
+        });
     });
 
     describe('Cache management functions', () => {
@@ -396,4 +446,2737 @@ describe('ReadMore', () => {
             expect(() => invalidateLineHeightCache(undefined)).not.toThrow();
         });
     });
+
+    describe('Resize handling', () => {
+        let observers;
+        let height;
+
+        beforeEach(() => {
+            observers = [];
+            global.ResizeObserver = class {
+                constructor(callback) {
+                    this.callback = callback;
+                    this.observed = [];
+                    this.disconnect = jest.fn();
+                    observers.push(this);
+                }
+
+                observe(element) {
+                    this.observed.push(element);
+                }
+            };
+
+            height = 200;
+            targetElement.style.lineHeight = '20px';
+            Object.defineProperty(targetElement, 'offsetHeight', {
+                configurable: true,
+                get: () => height
+            });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            delete global.ResizeObserver;
+        });
+
+        const triggerResize = () => {
+            observers.forEach(observer => observer.callback([]));
+            jest.runOnlyPendingTimers();
+        };
+
+        test('should observe target and parent elements', () => {
+            readmore({ targetElement, linesLimit: 5 });
+
+            expect(observers).toHaveLength(1);
+            expect(observers[0].observed).toEqual([targetElement, container]);
+        });
+
+        test('should create instance without button when content fits', () => {
+            height = 60;
+            readmore({ targetElement, linesLimit: 5 });
+
+            expect(hasReadMoreInstance(targetElement)).toBe(true);
+            expect(targetElement.nextElementSibling).toBeNull();
+            expect(targetElement.classList.contains('read-more-target')).toBe(false);
+        });
+
+        test('should add button when content starts to overflow', () => {
+            jest.useFakeTimers();
+            height = 60;
+            readmore({ targetElement, linesLimit: 5 });
+
+            height = 200;
+            triggerResize();
+
+            const button = targetElement.nextElementSibling;
+            expect(button).toBe(getReadMoreInstance(targetElement).button);
+            expect(button.getAttribute('aria-expanded')).toBe('false');
+            expect(targetElement.classList.contains('read-more-target')).toBe(true);
+        });
+
+        test('should remove button when content no longer overflows', () => {
+            jest.useFakeTimers();
+            readmore({ targetElement, linesLimit: 5 });
+            expect(targetElement.nextElementSibling).toBeTruthy();
+
+            height = 60;
+            triggerResize();
+
+            expect(targetElement.nextElementSibling).toBeNull();
+            expect(targetElement.classList.contains('read-more-target')).toBe(false);
+        });
+
+        test('should invalidate cached line height on resize', () => {
+            jest.useFakeTimers();
+            readmore({ targetElement, linesLimit: 5 });
+
+            targetElement.style.lineHeight = '50px';
+            triggerResize();
+
+            expect(targetElement.nextElementSibling).toBeNull();
+        });
+
+        test('should disconnect observer on destroy', () => {
+            readmore({ targetElement, linesLimit: 5 });
+            destroyReadMore(targetElement);
+
+            expect(observers[0].disconnect).toHaveBeenCalled();
+        });
+    });
+
+    describe('Content mutation tracking', () => {
+        let height;
+
+        // Let the MutationObserver callback run, then the refresh it schedules
+        const waitForFrame = async () => {
+            await Promise.resolve();
+            jest.runOnlyPendingTimers();
+        };
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            height = 60;
+            targetElement.style.lineHeight = '20px';
+            Object.defineProperty(targetElement, 'offsetHeight', {
+                configurable: true,
+                get: () => height
+            });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should validate observeMutations parameter', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, observeMutations: 'yes' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: observeMutations must be a boolean');
+            expect(hasReadMoreInstance(targetElement)).toBe(false);
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should not observe content by default', () => {
+            readmore({ targetElement, linesLimit: 5 });
+
+            expect(getReadMoreInstance(targetElement).mutationObserver).toBeNull();
+        });
+
+        test('should add button when content grows', async () => {
+            readmore({ targetElement, linesLimit: 5, observeMutations: true });
+            expect(targetElement.nextElementSibling).toBeNull();
+
+            height = 200;
+            targetElement.innerHTML = '<p>Much longer content</p>';
+            await waitForFrame();
+
+            expect(targetElement.nextElementSibling).toBe(getReadMoreInstance(targetElement).button);
+            expect(targetElement.classList.contains('read-more-target')).toBe(true);
+        });
+
+        test('should preserve expanded state and button on content change', async () => {
+            height = 200;
+            readmore({ targetElement, linesLimit: 5, observeMutations: true });
+
+            const button = targetElement.nextElementSibling;
+            button.click();
+            expect(button.getAttribute('aria-expanded')).toBe('true');
+
+            targetElement.firstChild.textContent = 'Updated but still long content';
+            await waitForFrame();
+
+            expect(targetElement.nextElementSibling).toBe(button);
+            expect(button.getAttribute('aria-expanded')).toBe('true');
+            expect(targetElement.classList.contains('read-more-target')).toBe(false);
+        });
+
+        test('should remove button when content shrinks', async () => {
+            height = 200;
+            readmore({ targetElement, linesLimit: 5, observeMutations: true });
+
+            height = 20;
+            targetElement.textContent = 'Short';
+            await waitForFrame();
+
+            expect(targetElement.nextElementSibling).toBeNull();
+            expect(targetElement.classList.contains('read-more-target')).toBe(false);
+        });
+
+        test('should disconnect mutation observer on destroy', () => {
+            readmore({ targetElement, linesLimit: 5, observeMutations: true });
+            const observer = getReadMoreInstance(targetElement).mutationObserver;
+            const disconnectSpy = jest.spyOn(observer, 'disconnect');
+
+            destroyReadMore(targetElement);
+
+            expect(disconnectSpy).toHaveBeenCalled();
+        });
+    });
+
+    describe('Programmatic control', () => {
+        test('should expand and collapse through the instance', () => {
+            readmore({ targetElement, readMoreLabel: 'More', readLessLabel: 'Less' });
+
+            const instance = getReadMoreInstance(targetElement);
+            const button = instance.button;
+            expect(instance.isExpanded).toBe(false);
+
+            expect(instance.expand()).toBe(true);
+            expect(instance.isExpanded).toBe(true);
+            expect(targetElement.classList.contains('read-more-target')).toBe(false);
+            expect(button.getAttribute('aria-expanded')).toBe('true');
+            expect(button.innerText).toBe('Less');
+
+            expect(instance.expand()).toBe(false);
+
+            expect(instance.collapse()).toBe(true);
+            expect(instance.isExpanded).toBe(false);
+            expect(button.getAttribute('aria-expanded')).toBe('false');
+            expect(button.innerText).toBe('More');
+
+            expect(instance.collapse()).toBe(false);
+        });
+
+        test('should toggle through the instance', () => {
+            readmore({ targetElement });
+
+            const instance = getReadMoreInstance(targetElement);
+            instance.toggle();
+            expect(instance.isExpanded).toBe(true);
+            instance.toggle();
+            expect(instance.isExpanded).toBe(false);
+        });
+
+        test('should expand and collapse through module helpers', () => {
+            readmore({ targetElement });
+
+            expect(expandReadMore(targetElement)).toBe(true);
+            expect(getReadMoreInstance(targetElement).isExpanded).toBe(true);
+
+            expect(collapseReadMore(targetElement)).toBe(true);
+            expect(getReadMoreInstance(targetElement).isExpanded).toBe(false);
+        });
+
+        test('should return false from helpers without an instance', () => {
+            expect(expandReadMore(targetElement)).toBe(false);
+            expect(collapseReadMore(targetElement)).toBe(false);
+        });
+
+        test('should do nothing after destroy', () => {
+            readmore({ targetElement });
+            const instance = getReadMoreInstance(targetElement);
+            destroyReadMore(targetElement);
+
+            expect(instance.expand()).toBe(false);
+        });
+    });
+
+    describe('Lifecycle callbacks and events', () => {
+        test('should validate callback parameters', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, onExpand: 'invalid' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: onExpand must be a function');
+            expect(hasReadMoreInstance(targetElement)).toBe(false);
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should call callbacks in order on toggle', () => {
+            const calls = [];
+            readmore({
+                targetElement,
+                onBeforeExpand: () => calls.push('beforeExpand'),
+                onExpand: () => calls.push('expand'),
+                onBeforeCollapse: () => calls.push('beforeCollapse'),
+                onCollapse: () => calls.push('collapse')
+            });
+
+            const button = targetElement.nextElementSibling;
+            button.click();
+            button.click();
+
+            expect(calls).toEqual(['beforeExpand', 'expand', 'beforeCollapse', 'collapse']);
+        });
+
+        test('should call onInit and onDestroy with the instance', () => {
+            const onInit = jest.fn();
+            const onDestroy = jest.fn();
+            readmore({ targetElement, onInit, onDestroy });
+
+            const instance = getReadMoreInstance(targetElement);
+            expect(onInit).toHaveBeenCalledWith(instance);
+
+            destroyReadMore(targetElement);
+            expect(onDestroy).toHaveBeenCalledWith(instance);
+        });
+
+        test('should dispatch CustomEvents on the target element', () => {
+            const events = [];
+            ['init', 'beforeexpand', 'expand', 'beforecollapse', 'collapse', 'destroy'].forEach(name => {
+                container.addEventListener(`readmore:${name}`, (event) => events.push(event));
+            });
+
+            readmore({ targetElement });
+            const instance = getReadMoreInstance(targetElement);
+            instance.expand();
+            instance.collapse();
+            destroyReadMore(targetElement);
+
+            expect(events.map(event => event.type)).toEqual([
+                'readmore:init',
+                'readmore:beforeexpand',
+                'readmore:expand',
+                'readmore:beforecollapse',
+                'readmore:collapse',
+                'readmore:destroy'
+            ]);
+            expect(events[0].detail.instance).toBe(instance);
+            expect(events[1].cancelable).toBe(true);
+            expect(events[2].cancelable).toBe(false);
+        });
+
+        test('should cancel expansion with preventDefault', () => {
+            readmore({ targetElement });
+            targetElement.addEventListener('readmore:beforeexpand', (event) => event.preventDefault());
+
+            const button = targetElement.nextElementSibling;
+            button.click();
+
+            expect(getReadMoreInstance(targetElement).isExpanded).toBe(false);
+            expect(button.getAttribute('aria-expanded')).toBe('false');
+        });
+
+        test('should cancel collapse when onBeforeCollapse returns false', () => {
+            const onCollapse = jest.fn();
+            readmore({ targetElement, onBeforeCollapse: () => false, onCollapse });
+
+            const instance = getReadMoreInstance(targetElement);
+            instance.expand();
+
+            expect(instance.collapse()).toBe(false);
+            expect(instance.isExpanded).toBe(true);
+            expect(onCollapse).not.toHaveBeenCalled();
+        });
+
+        test('should not dispatch the before event once the callback cancels', () => {
+            const listener = jest.fn();
+            targetElement.addEventListener('readmore:beforeexpand', listener);
+            const instance = readmore({ targetElement, onBeforeExpand: () => false });
+
+            expect(instance.expand()).toBe(false);
+            expect(listener).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Animated transitions', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+            Object.defineProperty(targetElement, 'scrollHeight', { configurable: true, value: 400 });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            delete window.matchMedia;
+        });
+
+        test('should validate animate parameter', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, animate: 'fast' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: animate must be a boolean or an object');
+
+            readmore({ targetElement, animate: { duration: -1 } });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: animate.duration must be a non-negative number');
+
+            readmore({ targetElement, animate: { easing: 1 } });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: animate.easing must be a string');
+
+            expect(hasReadMoreInstance(targetElement)).toBe(false);
+            consoleSpy.mockRestore();
+        });
+
+        test('should apply animation defaults', () => {
+            readmore({ targetElement, animate: true });
+
+            expect(getReadMoreInstance(targetElement).config.animate).toEqual({ duration: 300, easing: 'ease' });
+        });
+
+        test('should transition max-height when expanding', () => {
+            const onExpand = jest.fn();
+            readmore({ targetElement, animate: { duration: 200, easing: 'linear' }, onExpand });
+
+            const instance = getReadMoreInstance(targetElement);
+            instance.expand();
+
+            expect(instance.isAnimating).toBe(true);
+            expect(instance.isExpanded).toBe(true);
+            expect(targetElement.classList.contains('read-more-target')).toBe(false);
+            expect(targetElement.style.maxHeight).toBe('400px');
+            expect(targetElement.style.transition).toBe('max-height 200ms linear');
+            expect(onExpand).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(250);
+
+            expect(instance.isAnimating).toBe(false);
+            expect(targetElement.style.maxHeight).toBe('');
+            expect(targetElement.style.transition).toBe('');
+            expect(onExpand).toHaveBeenCalledWith(instance);
+        });
+
+        test('should keep clamp off until collapse animation completes', () => {
+            readmore({ targetElement, animate: true });
+
+            const instance = getReadMoreInstance(targetElement);
+            instance.expand();
+            jest.advanceTimersByTime(400);
+
+            instance.collapse();
+            expect(instance.isExpanded).toBe(false);
+            expect(instance.button.getAttribute('aria-expanded')).toBe('false');
+            expect(targetElement.classList.contains('read-more-target')).toBe(false);
+
+            jest.advanceTimersByTime(400);
+            expect(targetElement.classList.contains('read-more-target')).toBe(true);
+        });
+
+        test('should finish on transitionend', () => {
+            readmore({ targetElement, animate: true });
+
+            const instance = getReadMoreInstance(targetElement);
+            instance.expand();
+
+            const event = new Event('transitionend');
+            event.propertyName = 'max-height';
+            targetElement.dispatchEvent(event);
+
+            expect(instance.isAnimating).toBe(false);
+        });
+
+        test('should ignore clicks while animating', () => {
+            readmore({ targetElement, animate: true });
+
+            const button = targetElement.nextElementSibling;
+            button.click();
+            button.click();
+
+            expect(getReadMoreInstance(targetElement).isExpanded).toBe(true);
+            expect(button.getAttribute('aria-expanded')).toBe('true');
+        });
+
+        test('should skip animation when reduced motion is preferred', () => {
+            window.matchMedia = jest.fn(() => ({ matches: true }));
+            readmore({ targetElement, animate: true });
+
+            const instance = getReadMoreInstance(targetElement);
+            instance.expand();
+
+            expect(window.matchMedia).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)');
+            expect(instance.isAnimating).toBe(false);
+            expect(targetElement.style.maxHeight).toBe('');
+        });
+
+        test('should restore inline styles when destroyed mid-animation', () => {
+            targetElement.style.maxHeight = '1000px';
+            readmore({ targetElement, animate: true });
+
+            getReadMoreInstance(targetElement).expand();
+            destroyReadMore(targetElement);
+
+            expect(targetElement.style.maxHeight).toBe('1000px');
+            expect(targetElement.style.overflow).toBe('');
+        });
+    });
+
+    describe('Batch initialization', () => {
+        beforeEach(() => {
+            container.innerHTML = `
+                <p class="item">First long text</p>
+                <p class="item">Second long text</p>
+                <p class="item">Third long text</p>
+            `;
+        });
+
+        test('should initialize elements matching a selector', () => {
+            const collection = readmoreAll('.item', { linesLimit: 2 });
+
+            expect(collection.instances).toHaveLength(3);
+            expect(collection.elements).toEqual(Array.from(container.querySelectorAll('.item')));
+            collection.elements.forEach(element => {
+                expect(hasReadMoreInstance(element)).toBe(true);
+                expect(getReadMoreInstance(element).config.linesLimit).toBe(2);
+            });
+        });
+
+        test('should accept NodeList, HTMLCollection and arrays', () => {
+            const fromNodeList = readmoreAll(container.querySelectorAll('.item'));
+            expect(fromNodeList.instances).toHaveLength(3);
+            fromNodeList.destroy();
+
+            const fromCollection = readmoreAll(container.getElementsByClassName('item'));
+            expect(fromCollection.instances).toHaveLength(3);
+            fromCollection.destroy();
+
+            const items = Array.from(container.querySelectorAll('.item'));
+            expect(readmoreAll([items[0], 'invalid', items[1]]).instances).toHaveLength(2);
+        });
+
+        test('should skip elements that already have an instance', () => {
+            const first = container.querySelector('.item');
+            readmore({ targetElement: first });
+            const existing = getReadMoreInstance(first);
+
+            const collection = readmoreAll('.item');
+
+            expect(collection.instances).toHaveLength(2);
+            expect(collection.elements).not.toContain(first);
+            expect(getReadMoreInstance(first)).toBe(existing);
+        });
+
+        test('should expand and collapse the whole group', () => {
+            const collection = readmoreAll('.item');
+
+            expect(collection.expandAll()).toBe(3);
+            collection.instances.forEach(instance => expect(instance.isExpanded).toBe(true));
+
+            expect(collection.collapseAll()).toBe(3);
+            collection.instances.forEach(instance => expect(instance.isExpanded).toBe(false));
+        });
+
+        test('should destroy the whole group', () => {
+            const collection = readmoreAll('.item');
+            const elements = collection.elements;
+
+            collection.destroy();
+
+            expect(collection.instances).toHaveLength(0);
+            elements.forEach(element => expect(hasReadMoreInstance(element)).toBe(false));
+        });
+
+        test('should return an empty collection for invalid targets', () => {
+            expect(readmoreAll(null).instances).toHaveLength(0);
+            expect(readmoreAll('.missing').instances).toHaveLength(0);
+        });
+    });
+
+    describe('Declarative initialization', () => {
+        let collection;
+
+        afterEach(() => {
+            if (collection) {
+                collection.destroy();
+                collection = null;
+            }
+        });
+
+        beforeEach(() => {
+            container.innerHTML = `
+                <div id="first" data-readmore-lines data-readmore-lines-limit="3"
+                    data-readmore-more-label="More" data-readmore-less-label="Less"
+                    data-readmore-target-class="custom-target" data-readmore-link-class="custom-link">First</div>
+                <div id="second" data-readmore-lines data-readmore-observe-mutations>Second</div>
+                <div id="plain">Not initialized</div>
+            `;
+        });
+
+        test('should initialize elements with data attributes', () => {
+            const collection = autoInit();
+
+            expect(collection.instances).toHaveLength(2);
+            expect(hasReadMoreInstance(document.getElementById('plain'))).toBe(false);
+
+            const config = getReadMoreInstance(document.getElementById('first')).config;
+            expect(config.linesLimit).toBe(3);
+            expect(config.readMoreLabel).toBe('More');
+            expect(config.readLessLabel).toBe('Less');
+            expect(config.targetClass).toBe('custom-target');
+            expect(config.linkClass).toBe('custom-link');
+
+            expect(getReadMoreInstance(document.getElementById('second')).config.observeMutations).toBe(true);
+        });
+
+        test('should let data attributes override shared options', () => {
+            autoInit({ linesLimit: 5, readMoreLabel: 'Expand' });
+
+            const first = getReadMoreInstance(document.getElementById('first')).config;
+            const second = getReadMoreInstance(document.getElementById('second')).config;
+            expect(first.linesLimit).toBe(3);
+            expect(first.readMoreLabel).toBe('More');
+            expect(second.linesLimit).toBe(5);
+            expect(second.readMoreLabel).toBe('Expand');
+        });
+
+        test('should validate data attribute values', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+            document.getElementById('first').dataset.readmoreLinesLimit = 'many';
+
+            autoInit();
+
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: linesLimit must be a positive integer');
+            expect(hasReadMoreInstance(document.getElementById('first'))).toBe(false);
+            consoleSpy.mockRestore();
+        });
+
+        test('should scan only within root', () => {
+            document.body.insertAdjacentHTML('beforeend', '<section id="other"><p data-readmore-lines>Other</p></section>');
+
+            const collection = autoInit({ root: document.getElementById('other') });
+
+            expect(collection.instances).toHaveLength(1);
+            expect(hasReadMoreInstance(document.getElementById('first'))).toBe(false);
+        });
+
+        test('should initialize newly inserted elements when observing', async () => {
+            collection = autoInit({ observe: true });
+
+            container.insertAdjacentHTML('beforeend', '<div id="late" data-readmore-lines data-readmore-lines-limit="2">Late</div>');
+            container.insertAdjacentHTML('beforeend', '<section><p id="nested" data-readmore-lines>Nested</p></section>');
+            await Promise.resolve();
+
+            expect(hasReadMoreInstance(document.getElementById('late'))).toBe(true);
+            expect(hasReadMoreInstance(document.getElementById('nested'))).toBe(true);
+            expect(collection.instances).toHaveLength(4);
+        });
+
+        test('should stop observing on destroy', async () => {
+            const observing = autoInit({ observe: true });
+            observing.destroy();
+
+            container.insertAdjacentHTML('beforeend', '<div id="late" data-readmore-lines>Late</div>');
+            await Promise.resolve();
+
+            expect(observing.observer).toBeNull();
+            expect(hasReadMoreInstance(document.getElementById('late'))).toBe(false);
+        });
+    });
+
+    describe('Return value and errors', () => {
+        test('should return the instance', () => {
+            const instance = readmore({ targetElement });
+
+            expect(instance).toBe(getReadMoreInstance(targetElement));
+            expect(instance.isTruncated).toBe(true);
+        });
+
+        test('should return null on failure', () => {
+            expect(readmore({ targetElement: null })).toBeNull();
+
+            readmore({ targetElement });
+            expect(readmore({ targetElement })).toBeNull();
+        });
+
+        test('should throw ReadMoreError with code in strict mode', () => {
+            const expectCode = (options, code) => {
+                let thrown;
+                try {
+                    readmore({ ...options, strict: true });
+                } catch (error) {
+                    thrown = error;
+                }
+                expect(thrown).toBeInstanceOf(ReadMoreError);
+                expect(thrown).toBeInstanceOf(Error);
+                expect(thrown.name).toBe('ReadMoreError');
+                expect(thrown.code).toBe(code);
+            };
+
+            expectCode({ targetElement: null }, 'INVALID_TARGET');
+            expectCode({ targetElement: 'invalid' }, 'INVALID_TARGET');
+            expectCode({ targetElement: document.createElement('div') }, 'NO_PARENT');
+            expectCode({ targetElement, linesLimit: 0 }, 'INVALID_LINES_LIMIT');
+            expectCode({ targetElement, readMoreLabel: 1 }, 'INVALID_OPTION');
+
+            readmore({ targetElement });
+            expectCode({ targetElement }, 'ALREADY_INITIALIZED');
+        });
+
+        test('should not log in strict mode', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+            consoleSpy.mockClear();
+
+            expect(() => readmore({ targetElement: null, strict: true })).toThrow('ReadMore: targetElement is required and cannot be null or undefined');
+            expect(consoleSpy).not.toHaveBeenCalled();
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should call onError in non-strict mode', () => {
+            const onError = jest.fn();
+
+            readmore({ targetElement, linesLimit: 'many', onError });
+
+            expect(onError).toHaveBeenCalledTimes(1);
+            expect(onError.mock.calls[0][0]).toBeInstanceOf(ReadMoreError);
+            expect(onError.mock.calls[0][0].code).toBe(READMORE_ERROR_CODES.INVALID_LINES_LIMIT);
+        });
+
+        test('should report already initialized elements as a warning', () => {
+            const warnSpy = jest.spyOn(console, 'warn');
+            const onError = jest.fn();
+
+            readmore({ targetElement });
+            readmore({ targetElement, onError });
+
+            expect(warnSpy).toHaveBeenCalledWith('ReadMore: Element already has readmore functionality. Use destroyReadMore() first to reinitialize.');
+            expect(onError.mock.calls[0][0].code).toBe('ALREADY_INITIALIZED');
+            warnSpy.mockRestore();
+        });
+
+        test('should validate strict and onError parameters', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, strict: 'yes' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: strict must be a boolean');
+
+            readmore({ targetElement, onError: 'log' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: onError must be a function');
+
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('Truncation modes', () => {
+        test('should validate mode and limits', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, mode: 'pages' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: mode must be one of lines, height, chars, words, rich');
+
+            readmore({ targetElement, mode: 'height' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: heightLimit is required in height mode');
+
+            readmore({ targetElement, mode: 'height', heightLimit: '10rem; color: red' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: heightLimit must be a positive number or a CSS length');
+
+            readmore({ targetElement, mode: 'chars', charsLimit: 1.5 });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: charsLimit must be a positive integer');
+
+            readmore({ targetElement, mode: 'words' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: wordsLimit is required in words mode');
+
+            expect(hasReadMoreInstance(targetElement)).toBe(false);
+            consoleSpy.mockRestore();
+        });
+
+        describe('height mode', () => {
+            let height;
+
+            beforeEach(() => {
+                height = 300;
+                Object.defineProperty(targetElement, 'offsetHeight', {
+                    configurable: true,
+                    get: () => height
+                });
+            });
+
+            test('should truncate content taller than the limit', () => {
+                readmore({ targetElement, mode: 'height', heightLimit: 120 });
+
+                expect(targetElement.classList.contains('read-more-target')).toBe(true);
+                const style = document.head.querySelector('[data-readmore-lines-cache="readmore-lines-styles-read-more-target-height-120"]');
+                expect(style.textContent).toContain('max-height: 120px;');
+                expect(style.textContent).not.toContain('-webkit-line-clamp');
+            });
+
+            test('should accept CSS length strings', () => {
+                readmore({ targetElement, mode: 'height', heightLimit: '150px' });
+
+                expect(targetElement.nextElementSibling).toBeTruthy();
+                expect(isStyleCached('readmore-lines-styles-read-more-target-height-150px')).toBe(true);
+            });
+
+            test('should not truncate content within the limit', () => {
+                height = 100;
+                readmore({ targetElement, mode: 'height', heightLimit: 120 });
+
+                expect(targetElement.nextElementSibling).toBeNull();
+            });
+
+            test('should compare the content box with the limit', () => {
+                height = 150;
+                targetElement.style.padding = '10px 0';
+                targetElement.style.border = '5px solid';
+                readmore({ targetElement, mode: 'height', heightLimit: 120 });
+
+                expect(targetElement.nextElementSibling).toBeNull();
+            });
+
+            test('should compare the border box with the limit with border-box sizing', () => {
+                height = 150;
+                targetElement.style.padding = '10px 0';
+                targetElement.style.border = '5px solid';
+                targetElement.style.boxSizing = 'border-box';
+                readmore({ targetElement, mode: 'height', heightLimit: 120 });
+
+                expect(targetElement.nextElementSibling).toBeTruthy();
+            });
+        });
+
+        describe('chars and words modes', () => {
+            // Text outside the hidden="until-found" remainder
+            const visibleText = (element) => {
+                const clone = element.cloneNode(true);
+                clone.querySelectorAll('[data-readmore-lines-rest]').forEach(rest => rest.remove());
+                return clone.textContent;
+            };
+
+            beforeEach(() => {
+                targetElement.innerHTML = 'One two <strong id="strong">three four</strong> five <em>six</em> seven';
+            });
+
+            test('should shorten content to the word limit', () => {
+                readmore({ targetElement, mode: 'words', wordsLimit: 3 });
+
+                expect(visibleText(targetElement)).toBe('One two three\u2026');
+                expect(targetElement.querySelector('strong').textContent).toBe('three\u2026');
+                expect(targetElement.querySelector('em:not([data-readmore-lines-rest] em)')).toBeNull();
+            });
+
+            test('should shorten content to the character limit', () => {
+                readmore({ targetElement, mode: 'chars', charsLimit: 10 });
+
+                expect(visibleText(targetElement)).toBe('One two th\u2026');
+            });
+
+            test('should not truncate content within the limit', () => {
+                readmore({ targetElement, mode: 'words', wordsLimit: 7 });
+
+                expect(targetElement.nextElementSibling).toBeNull();
+                expect(targetElement.textContent).toBe('One two three four five six seven');
+            });
+
+            test('should restore the original nodes when expanded', () => {
+                const strong = document.getElementById('strong');
+                const instance = readmore({ targetElement, mode: 'words', wordsLimit: 3 });
+
+                expect(document.getElementById('strong')).not.toBe(strong);
+
+                instance.expand();
+                expect(targetElement.textContent).toBe('One two three four five six seven');
+                expect(document.getElementById('strong')).toBe(strong);
+
+                instance.collapse();
+                expect(visibleText(targetElement)).toBe('One two three\u2026');
+            });
+
+            test('should restore the original DOM exactly on destroy', () => {
+                const originalHTML = targetElement.innerHTML;
+                const strong = document.getElementById('strong');
+                readmore({ targetElement, mode: 'chars', charsLimit: 5 });
+
+                destroyReadMore(targetElement);
+
+                expect(targetElement.innerHTML).toBe(originalHTML);
+                expect(document.getElementById('strong')).toBe(strong);
+            });
+
+            test('should not inject clamp styles', () => {
+                readmore({ targetElement, mode: 'words', wordsLimit: 3 });
+
+                const style = document.head.querySelector('[data-readmore-lines-cache="readmore-lines-styles-read-more-target-words"]');
+                expect(style.textContent).not.toContain('-webkit-line-clamp');
+            });
+
+            test('should ignore its own content swaps when observing mutations', async () => {
+                jest.useFakeTimers();
+                const instance = readmore({ targetElement, mode: 'words', wordsLimit: 3, observeMutations: true });
+                const refreshSpy = jest.spyOn(instance, 'refresh');
+
+                instance.expand();
+                instance.collapse();
+                await Promise.resolve();
+                jest.runOnlyPendingTimers();
+                jest.useRealTimers();
+
+                expect(refreshSpy).not.toHaveBeenCalled();
+            });
+
+            test('should keep content replaced while collapsed when observing mutations', async () => {
+                jest.useFakeTimers();
+                const instance = readmore({ targetElement, mode: 'words', wordsLimit: 3, observeMutations: true });
+
+                targetElement.innerHTML = 'brand new <b>content</b> with many more words';
+                await Promise.resolve();
+                jest.runOnlyPendingTimers();
+                jest.useRealTimers();
+
+                expect(instance.isTruncated).toBe(true);
+                expect(visibleText(targetElement)).toBe('brand new content…');
+
+                instance.expand();
+                expect(targetElement.textContent).toBe('brand new content with many more words');
+
+                instance.collapse();
+                destroyReadMore(targetElement);
+                expect(targetElement.innerHTML).toBe('brand new <b>content</b> with many more words');
+            });
+
+            test('should apply changes made while collapsed to the original content', async () => {
+                jest.useFakeTimers();
+                const strong = document.getElementById('strong');
+                const instance = readmore({ targetElement, mode: 'words', wordsLimit: 3, observeMutations: true, autoExpand: true });
+
+                targetElement.appendChild(document.createTextNode(' eight'));
+                targetElement.firstChild.data = 'Zero two ';
+                await Promise.resolve();
+                jest.runOnlyPendingTimers();
+                jest.useRealTimers();
+
+                expect(instance.isTruncated).toBe(true);
+                expect(visibleText(targetElement)).toBe('Zero two three\u2026');
+
+                instance.expand();
+                expect(targetElement.innerHTML).toBe('Zero two <strong id="strong">three four</strong> five <em>six</em> seven eight');
+                expect(document.getElementById('strong')).toBe(strong);
+
+                instance.collapse();
+                destroyReadMore(targetElement);
+                expect(targetElement.textContent).toBe('Zero two three four five six seven eight');
+            });
+        });
+    });
+
+    describe('Responsive line limits', () => {
+        let mediaLists;
+        let viewportWidth;
+
+        const minWidth = query => Number((query.match(/min-width: (\d+)px/) || [])[1]);
+
+        beforeEach(() => {
+            mediaLists = [];
+            viewportWidth = 500;
+            window.matchMedia = jest.fn(query => {
+                const list = {
+                    query,
+                    get matches() {
+                        return viewportWidth >= minWidth(query);
+                    },
+                    listeners: [],
+                    addEventListener: jest.fn((type, listener) => list.listeners.push(listener)),
+                    removeEventListener: jest.fn()
+                };
+                mediaLists.push(list);
+                return list;
+            });
+
+            targetElement.style.lineHeight = '20px';
+            Object.defineProperty(targetElement, 'offsetHeight', { configurable: true, value: 100 });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            delete window.matchMedia;
+        });
+
+        test('should validate breakpoint maps', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, linesLimit: { 0: 3, 768: 'many' } });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: linesLimit breakpoints must map to positive integers');
+
+            readmore({ targetElement, linesLimit: {} });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: linesLimit breakpoints must map to positive integers');
+
+            readmore({ targetElement, linesLimit: { '(min-width: 1px) {} body {': 3 } });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: linesLimit breakpoint keys must be pixel widths or media queries');
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should generate clamp rules inside media blocks', () => {
+            const instance = readmore({ targetElement, linesLimit: { 1200: 10, 0: 3, 768: 6 } });
+
+            expect(instance.config.breakpoints).toEqual([
+                { query: '(min-width: 0px)', lines: 3 },
+                { query: '(min-width: 768px)', lines: 6 },
+                { query: '(min-width: 1200px)', lines: 10 }
+            ]);
+
+            const css = document.head.querySelector('[data-readmore-lines-cache="readmore-lines-styles-read-more-target-min-width:0px:3_min-width:768px:6_min-width:1200px:10"]').textContent;
+            expect(css).toMatch(/@media \(min-width: 0px\) \{\s*\[data-readmore-lines-scope\] \.read-more-target \{[^}]*-webkit-line-clamp: 3;/);
+            expect(css).toMatch(/@media \(min-width: 768px\) \{[^}]*-webkit-line-clamp: 6;/);
+            expect(css).toMatch(/@media \(min-width: 1200px\) \{[^}]*-webkit-line-clamp: 10;/);
+        });
+
+        test('should accept media query keys', () => {
+            const instance = readmore({ targetElement, linesLimit: { '(orientation: portrait)': 2 } });
+
+            expect(instance.config.breakpoints).toEqual([{ query: '(orientation: portrait)', lines: 2 }]);
+            const css = document.head.querySelector('[data-readmore-lines-cache="readmore-lines-styles-read-more-target-orientation:portrait:2"]').textContent;
+            expect(css).toContain('@media (orientation: portrait)');
+        });
+
+        test('should use distinct style cache keys per breakpoint map', () => {
+            readmore({ targetElement, linesLimit: { 0: 3, 768: 6 } });
+
+            expect(isStyleCached('readmore-lines-styles-read-more-target-min-width:0px:3_min-width:768px:6')).toBe(true);
+        });
+
+        test('should use the active breakpoint to decide on truncation', () => {
+            // 100px / 20px = 5 lines
+            const instance = readmore({ targetElement, linesLimit: { 0: 3, 768: 6 } });
+            expect(instance.isTruncated).toBe(true);
+
+            viewportWidth = 1024;
+            instance.refresh();
+            expect(instance.isTruncated).toBe(false);
+        });
+
+        test('should re-check when the active breakpoint changes', () => {
+            jest.useFakeTimers();
+            const instance = readmore({ targetElement, linesLimit: { 0: 3, 768: 6 } });
+            const listeners = mediaLists.filter(list => list.listeners.length);
+            expect(listeners).toHaveLength(2);
+
+            viewportWidth = 1024;
+            listeners[1].listeners[0]();
+            jest.runOnlyPendingTimers();
+
+            expect(instance.isTruncated).toBe(false);
+            expect(targetElement.nextElementSibling).toBeNull();
+        });
+
+        test('should remove breakpoint listeners on destroy', () => {
+            readmore({ targetElement, linesLimit: { 0: 3, 768: 6 } });
+            const listeners = mediaLists.filter(list => list.listeners.length);
+
+            destroyReadMore(targetElement);
+
+            listeners.forEach(list => expect(list.removeEventListener).toHaveBeenCalledWith('change', list.listeners[0]));
+        });
+
+        test('should read breakpoint maps from data attributes', () => {
+            targetElement.setAttribute('data-readmore-lines', '');
+            targetElement.setAttribute('data-readmore-lines-limit', '{"0": 2, "768": 4}');
+
+            autoInit();
+
+            expect(getReadMoreInstance(targetElement).config.linesLimit).toEqual({ 0: 2, 768: 4 });
+        });
+    });
+
+    describe('Accordion groups', () => {
+        let items;
+
+        beforeEach(() => {
+            container.innerHTML = `
+                <p class="faq">First answer</p>
+                <p class="faq">Second answer</p>
+                <p class="faq">Third answer</p>
+            `;
+            items = Array.from(container.querySelectorAll('.faq'));
+        });
+
+        afterEach(() => {
+            ['faq', 'reviews'].forEach(name => {
+                const group = getReadMoreGroup(name);
+                if (group) {
+                    group.destroy();
+                }
+            });
+        });
+
+        test('should validate group parameter', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement: items[0], group: 42 });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: group must be a non-empty string or a ReadMoreGroup');
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should collapse other members when one expands', () => {
+            const [first, second, third] = readmoreAll(items, { group: 'faq' }).instances;
+
+            first.expand();
+            expect(getReadMoreGroup('faq').expandedMember).toBe(first);
+
+            second.button.click();
+            expect(first.isExpanded).toBe(false);
+            expect(second.isExpanded).toBe(true);
+            expect(third.isExpanded).toBe(false);
+            expect(getReadMoreGroup('faq').expandedMember).toBe(second);
+        });
+
+        test('should share a group object between instances', () => {
+            const group = createReadMoreGroup();
+            const first = readmore({ targetElement: items[0], group });
+            const second = readmore({ targetElement: items[1], group });
+
+            expect(group.instances).toEqual([first, second]);
+            expect(first.group).toBe(group);
+
+            first.expand();
+            second.expand();
+            expect(first.isExpanded).toBe(false);
+        });
+
+        test('should not affect instances outside the group', () => {
+            const grouped = readmore({ targetElement: items[0], group: 'faq' });
+            const other = readmore({ targetElement: items[1], group: 'reviews' });
+            const standalone = readmore({ targetElement: items[2] });
+
+            other.expand();
+            standalone.expand();
+            grouped.expand();
+
+            expect(other.isExpanded).toBe(true);
+            expect(standalone.isExpanded).toBe(true);
+        });
+
+        test('should expand and collapse all members', () => {
+            const group = readmoreAll(items, { group: 'faq' }).instances[0].group;
+
+            expect(group.expandAll()).toBe(3);
+            group.instances.forEach(instance => expect(instance.isExpanded).toBe(true));
+            expect(group.expandedMember).toBe(group.instances[0]);
+
+            expect(group.collapseAll()).toBe(3);
+            expect(group.expandedMember).toBeNull();
+        });
+
+        test('should return the registered group for a name', () => {
+            const group = createReadMoreGroup('faq');
+
+            expect(createReadMoreGroup('faq')).toBe(group);
+            expect(getReadMoreGroup('faq')).toBe(group);
+            expect(getReadMoreGroup('missing')).toBeNull();
+            group.destroy();
+        });
+
+        test('should leave the group on destroy and unregister empty groups', () => {
+            readmoreAll(items, { group: 'faq' });
+            const group = getReadMoreGroup('faq');
+
+            destroyReadMore(items[0]);
+            expect(group.instances).toHaveLength(2);
+
+            group.destroy();
+            expect(group.instances).toHaveLength(0);
+            expect(getReadMoreGroup('faq')).toBeNull();
+            items.forEach(item => expect(hasReadMoreInstance(item)).toBe(false));
+        });
+
+        test('should read group names from data attributes', () => {
+            items.forEach(item => {
+                item.setAttribute('data-readmore-lines', '');
+                item.setAttribute('data-readmore-group', 'faq');
+            });
+
+            const collection = autoInit();
+
+            expect(getReadMoreGroup('faq').instances).toEqual(collection.instances);
+            collection.destroy();
+        });
+    });
+
+    describe('Persisted state', () => {
+        afterEach(() => {
+            sessionStorage.clear();
+            localStorage.clear();
+        });
+
+        test('should validate persistence parameters', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, persist: 'cookie' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: persist must be \'session\', \'local\' or an object with get and set methods');
+
+            readmore({ targetElement, persist: 'session', stateKey: '' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: stateKey must be a non-empty string');
+
+            targetElement.removeAttribute('id');
+            readmore({ targetElement, persist: 'session' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: persist requires a stateKey or a target element id');
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should write state changes to sessionStorage keyed by id', () => {
+            const instance = readmore({ targetElement, persist: 'session' });
+
+            instance.button.click();
+            expect(sessionStorage.getItem('readmore-lines:target')).toBe('expanded');
+
+            instance.button.click();
+            expect(sessionStorage.getItem('readmore-lines:target')).toBe('collapsed');
+        });
+
+        test('should restore expanded state on init without animating', () => {
+            localStorage.setItem('readmore-lines:review-1', 'expanded');
+
+            const instance = readmore({ targetElement, persist: 'local', stateKey: 'review-1', animate: true });
+
+            expect(instance.isExpanded).toBe(true);
+            expect(instance.isAnimating).toBe(false);
+            expect(instance.button.getAttribute('aria-expanded')).toBe('true');
+            expect(targetElement.classList.contains('read-more-target')).toBe(false);
+        });
+
+        test('should stay collapsed without stored state', () => {
+            const instance = readmore({ targetElement, persist: 'session' });
+
+            expect(instance.isExpanded).toBe(false);
+        });
+
+        test('should use a custom adapter', () => {
+            const store = { 'readmore-lines:target': 'expanded' };
+            const adapter = {
+                get: jest.fn(key => store[key]),
+                set: jest.fn((key, value) => { store[key] = value; })
+            };
+
+            const instance = readmore({ targetElement, persist: adapter });
+            expect(adapter.get).toHaveBeenCalledWith('readmore-lines:target');
+            expect(instance.isExpanded).toBe(true);
+
+            instance.collapse();
+            expect(store['readmore-lines:target']).toBe('collapsed');
+        });
+
+        test('should keep working when storage throws', () => {
+            const warnSpy = jest.spyOn(console, 'warn');
+            const adapter = {
+                get: () => { throw new Error('denied'); },
+                set: () => { throw new Error('denied'); }
+            };
+
+            const instance = readmore({ targetElement, persist: adapter });
+            expect(instance.expand()).toBe(true);
+
+            expect(warnSpy).toHaveBeenCalledWith('ReadMore: Failed to persist state', expect.any(Error));
+            warnSpy.mockRestore();
+        });
+
+        test('should clear stored state on destroy only when asked', () => {
+            readmore({ targetElement, persist: 'session' }).expand();
+            destroyReadMore(targetElement);
+            expect(sessionStorage.getItem('readmore-lines:target')).toBe('expanded');
+
+            readmore({ targetElement, persist: 'session' });
+            destroyReadMore(targetElement, { clearState: true });
+            expect(sessionStorage.getItem('readmore-lines:target')).toBeNull();
+        });
+    });
+
+    describe('Deep linking', () => {
+        let instances;
+
+        const setHash = (hash) => window.history.replaceState(null, '', hash || window.location.pathname);
+
+        beforeEach(() => {
+            instances = [];
+            Element.prototype.scrollIntoView = jest.fn();
+        });
+
+        afterEach(() => {
+            instances.forEach(instance => instance.destroy());
+            delete Element.prototype.scrollIntoView;
+            setHash('');
+        });
+
+        test('should validate deepLink', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, deepLink: 'yes' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: deepLink must be a boolean or an object');
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should expand on init when the hash targets the element', () => {
+            setHash('#target');
+            instances.push(readmore({ targetElement, deepLink: true }));
+
+            expect(instances[0].isExpanded).toBe(true);
+            expect(targetElement.scrollIntoView).toHaveBeenCalledTimes(1);
+        });
+
+        test('should ignore the hash unless deepLink is enabled', () => {
+            setHash('#target');
+            instances.push(readmore({ targetElement }));
+
+            expect(instances[0].isExpanded).toBe(false);
+        });
+
+        test('should expand on hashchange to a descendant and scroll it into view', () => {
+            targetElement.innerHTML = 'Intro text <span id="details">details</span>';
+            instances.push(readmore({ targetElement, deepLink: { scroll: { block: 'center' } } }));
+            expect(instances[0].isExpanded).toBe(false);
+
+            setHash('#details');
+            window.dispatchEvent(new Event('hashchange'));
+
+            expect(instances[0].isExpanded).toBe(true);
+            expect(document.getElementById('details').scrollIntoView).toHaveBeenCalledWith({ block: 'center' });
+        });
+
+        test('should find ids in the hidden part of shortened content', () => {
+            targetElement.innerHTML = 'One two three four <em id="hidden-part">five six</em>';
+            setHash('#hidden-part');
+            instances.push(readmore({ targetElement, mode: 'words', wordsLimit: 2, deepLink: { scroll: false } }));
+
+            expect(instances[0].isExpanded).toBe(true);
+            expect(targetElement.querySelector('#hidden-part')).toBeTruthy();
+            expect(Element.prototype.scrollIntoView).not.toHaveBeenCalled();
+        });
+
+        test('should update the hash on user expansion when updateHash is set', () => {
+            instances.push(readmore({ targetElement, deepLink: { updateHash: true } }));
+
+            instances[0].expand();
+            expect(window.location.hash).toBe('');
+
+            instances[0].collapse();
+            instances[0].button.click();
+            expect(window.location.hash).toBe('#target');
+        });
+
+        test('should stop listening for hashchange after destroy', () => {
+            const instance = readmore({ targetElement, deepLink: true });
+            instance.destroy();
+
+            setHash('#target');
+            window.dispatchEvent(new Event('hashchange'));
+
+            expect(instance.isExpanded).toBe(false);
+        });
+    });
+
+    describe('Auto-expand on focus and find-in-page', () => {
+        const mockRect = (element, rect) => {
+            element.getBoundingClientRect = () => ({ top: 0, left: 0, right: 100, bottom: 40, ...rect });
+        };
+
+        test('should validate autoExpand', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, autoExpand: 'yes' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: autoExpand must be a boolean');
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should expand when focus lands in the clamped region', () => {
+            targetElement.innerHTML = 'Intro <a href="#" id="top-link">top</a> text <a href="#" id="hidden-link">hidden</a>';
+            const instance = readmore({ targetElement, autoExpand: true });
+            mockRect(targetElement, {});
+            mockRect(document.getElementById('top-link'), { bottom: 20 });
+            mockRect(document.getElementById('hidden-link'), { top: 60, bottom: 80 });
+
+            document.getElementById('top-link').focus();
+            expect(instance.isExpanded).toBe(false);
+
+            document.getElementById('hidden-link').focus();
+            expect(instance.isExpanded).toBe(true);
+            expect(instance.button.getAttribute('aria-expanded')).toBe('true');
+            expect(instance.button.innerText).toBe('Read less');
+        });
+
+        test('should not expand on focus by default', () => {
+            targetElement.innerHTML = 'Intro text <a href="#" id="hidden-link">hidden</a>';
+            const instance = readmore({ targetElement });
+            mockRect(targetElement, {});
+            mockRect(document.getElementById('hidden-link'), { top: 60, bottom: 80 });
+
+            document.getElementById('hidden-link').focus();
+            expect(instance.isExpanded).toBe(false);
+        });
+
+        test('should not keep the cut-off text in a hidden="until-found" element by default', () => {
+            targetElement.innerHTML = 'One two three four five';
+
+            readmore({ targetElement, mode: 'words', wordsLimit: 3 });
+
+            expect(targetElement.querySelector('[data-readmore-lines-rest]')).toBeNull();
+            expect(targetElement.textContent).toBe('One two three…');
+        });
+
+        test('should keep the cut-off text in a hidden="until-found" element where supported', () => {
+            targetElement.innerHTML = 'One two <b>three four</b> five';
+
+            readmore({ targetElement, mode: 'words', wordsLimit: 3, autoExpand: true });
+
+            const rest = targetElement.querySelector('[data-readmore-lines-rest]');
+            expect(rest.getAttribute('hidden')).toBe('until-found');
+            expect(rest.textContent).toBe(' four five');
+            expect(targetElement.textContent).toBe('One two three… four five');
+        });
+
+        test('should not duplicate ids in the hidden remainder', () => {
+            targetElement.innerHTML = 'One two <b id="bold">three four</b> five';
+
+            readmore({ targetElement, mode: 'words', wordsLimit: 3, autoExpand: true });
+
+            expect(targetElement.querySelectorAll('#bold')).toHaveLength(1);
+        });
+
+        test('should not add the hidden remainder without browser support', () => {
+            const descriptor = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'onbeforematch');
+            delete HTMLElement.prototype.onbeforematch;
+            targetElement.innerHTML = 'One two three four five';
+
+            try {
+                readmore({ targetElement, mode: 'words', wordsLimit: 3, autoExpand: true });
+            } finally {
+                Object.defineProperty(HTMLElement.prototype, 'onbeforematch', descriptor);
+            }
+
+            expect(targetElement.querySelector('[data-readmore-lines-rest]')).toBeNull();
+            expect(targetElement.textContent).toBe('One two three…');
+        });
+
+        test('should expand when beforematch reveals the remainder', () => {
+            jest.useFakeTimers();
+            targetElement.innerHTML = 'One two three four five';
+            const instance = readmore({ targetElement, mode: 'words', wordsLimit: 3, animate: true, autoExpand: true });
+
+            targetElement.querySelector('[data-readmore-lines-rest]').dispatchEvent(new Event('beforematch', { bubbles: true }));
+            jest.runOnlyPendingTimers();
+            jest.useRealTimers();
+
+            expect(instance.isExpanded).toBe(true);
+            expect(instance.isAnimating).toBe(false);
+            expect(targetElement.textContent).toBe('One two three four five');
+        });
+
+        test('should stop listening after destroy', () => {
+            targetElement.innerHTML = 'Intro text <a href="#" id="hidden-link">hidden</a>';
+            const instance = readmore({ targetElement, autoExpand: true });
+            instance.destroy();
+            mockRect(targetElement, {});
+            mockRect(document.getElementById('hidden-link'), { top: 60, bottom: 80 });
+
+            document.getElementById('hidden-link').focus();
+            expect(instance.isExpanded).toBe(false);
+        });
+
+        describe('clamp modes', () => {
+            const html = '<a href="#" id="visible-link">aaaaaaaaa</a> <b>bbbbbbbbb</b> cccccccccc <i id="clipped">dddd</i>';
+
+            // Text of everything marked hidden="until-found"
+            const hiddenText = () => Array.from(targetElement.querySelectorAll('[data-readmore-lines-rest]'), rest => rest.textContent).join('');
+
+            // Lays the target's text out in lines of 10 characters, 20px high; the bottom edge at 40px clips from the third line
+            beforeEach(() => {
+                Range.prototype.getClientRects = function () {
+                    const walker = document.createTreeWalker(targetElement, NodeFilter.SHOW_TEXT);
+                    let offset = this.endOffset;
+                    let node;
+                    while ((node = walker.nextNode()) && node !== this.endContainer) {
+                        offset += node.data.length;
+                    }
+
+                    const top = Math.floor((offset - 1) / 10) * 20;
+                    return this.collapsed ? [] : [{ top, bottom: top + 20 }];
+                };
+
+                targetElement.innerHTML = html;
+                mockRect(targetElement, {});
+            });
+
+            afterEach(() => {
+                delete Range.prototype.getClientRects;
+            });
+
+            test('should mark the clipped content hidden="until-found" in place', () => {
+                const link = document.getElementById('visible-link');
+                const clipped = document.getElementById('clipped');
+                const instance = readmore({ targetElement, linesLimit: 2, autoExpand: true });
+
+                expect(clipped.getAttribute('hidden')).toBe('until-found');
+                expect(targetElement.querySelector('span[data-readmore-lines-rest]').getAttribute('hidden')).toBe('until-found');
+                expect(hiddenText()).toBe('cccccccccc dddd');
+                expect(targetElement.textContent).toBe('aaaaaaaaa bbbbbbbbb cccccccccc dddd');
+                expect(document.getElementById('visible-link')).toBe(link);
+                expect(document.getElementById('clipped')).toBe(clipped);
+
+                instance.expand();
+                expect(targetElement.innerHTML).toBe(html);
+
+                instance.collapse();
+                expect(hiddenText()).toBe('cccccccccc dddd');
+
+                instance.destroy();
+                expect(targetElement.innerHTML).toBe(html);
+                expect(document.getElementById('visible-link')).toBe(link);
+                expect(document.getElementById('clipped')).toBe(clipped);
+            });
+
+            test('should keep listeners and focus in the visible part', () => {
+                const onClick = jest.fn(event => event.preventDefault());
+                const link = document.getElementById('visible-link');
+                link.addEventListener('click', onClick);
+                const instance = readmore({ targetElement, linesLimit: 2, autoExpand: true });
+
+                link.focus();
+                instance.refresh();
+
+                expect(document.activeElement).toBe(link);
+                link.click();
+                expect(onClick).toHaveBeenCalled();
+                expect(hiddenText()).toBe('cccccccccc dddd');
+            });
+
+            test('should not reveal the hidden content when asked whether it would truncate', () => {
+                readmore({ targetElement, linesLimit: 2, autoExpand: true });
+                const wrapper = targetElement.querySelector('span[data-readmore-lines-rest]');
+
+                expect(wouldTruncate(targetElement)).toBe(true);
+                expect(targetElement.querySelector('span[data-readmore-lines-rest]')).toBe(wrapper);
+                expect(wrapper.isConnected).toBe(true);
+            });
+
+            test('should split height mode content at the clipped edge', () => {
+                Object.defineProperty(targetElement, 'offsetHeight', { configurable: true, value: 80 });
+                readmore({ targetElement, mode: 'height', heightLimit: 40, autoExpand: true });
+
+                expect(hiddenText()).toBe('cccccccccc dddd');
+            });
+
+            test('should leave the content alone without autoExpand', () => {
+                readmore({ targetElement, linesLimit: 2 });
+
+                expect(targetElement.innerHTML).toBe(html);
+            });
+
+            test('should keep text added while collapsed when observing mutations', async () => {
+                jest.useFakeTimers();
+                const instance = readmore({ targetElement, linesLimit: 2, autoExpand: true, observeMutations: true });
+
+                targetElement.appendChild(document.createTextNode(' eeee'));
+                await Promise.resolve();
+                jest.runOnlyPendingTimers();
+                jest.useRealTimers();
+
+                expect(hiddenText()).toBe('cccccccccc dddd eeee');
+
+                instance.expand();
+                expect(targetElement.innerHTML).toBe(`${html} eeee`);
+            });
+        });
+    });
+
+    describe('Custom buttons', () => {
+        test('should validate button options', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, readMoreContent: 42 });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: readMoreContent must be an HTML string or a Node');
+
+            readmore({ targetElement, buttonTemplate: {} });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: buttonTemplate must be an HTML string or a function');
+
+            readmore({ targetElement, buttonTemplate: 'just text' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: buttonTemplate must produce an element');
+
+            readmore({ targetElement, buttonElement: '#toggle' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: buttonElement must be an HTMLElement');
+
+            readmore({ targetElement, buttonElement: container, buttonTemplate: '<button></button>' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: buttonElement and buttonTemplate cannot be combined');
+
+            expect(hasReadMoreInstance(targetElement)).toBe(false);
+            consoleSpy.mockRestore();
+        });
+
+        test('should render rich content for each state', () => {
+            const icon = document.createElement('i');
+            icon.className = 'icon-up';
+            const instance = readmore({ targetElement, readMoreContent: 'More <i class="icon-down"></i>', readLessContent: icon });
+
+            expect(instance.button.innerHTML).toBe('More <i class="icon-down"></i>');
+
+            instance.expand();
+            expect(instance.button.querySelector('.icon-up')).not.toBe(icon);
+            expect(instance.button.innerHTML).toBe('<i class="icon-up"></i>');
+        });
+
+        test('should fill the label slot of a template string', () => {
+            const instance = readmore({
+                targetElement,
+                buttonTemplate: '<button class="toggle"><span data-readmore-label></span><i class="chevron"></i></button>'
+            });
+
+            const button = targetElement.nextElementSibling;
+            expect(button).toBe(instance.button);
+            expect(button.classList.contains('toggle')).toBe(true);
+            expect(button.classList.contains('read-more-link')).toBe(true);
+            expect(button.type).toBe('button');
+            expect(button.getAttribute('aria-controls')).toBe('target');
+            expect(button.querySelector('[data-readmore-label]').innerText).toBe('Read more...');
+            expect(button.querySelector('.chevron')).toBeTruthy();
+
+            button.click();
+            expect(button.querySelector('[data-readmore-label]').innerText).toBe('Read less');
+        });
+
+        test('should make non-button template elements keyboard accessible', () => {
+            const instance = readmore({ targetElement, buttonTemplate: '<span class="toggle">More</span>' });
+
+            expect(instance.button.getAttribute('role')).toBe('button');
+            expect(instance.button.getAttribute('tabindex')).toBe('0');
+
+            instance.button.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+            expect(instance.isExpanded).toBe(true);
+        });
+
+        test('should re-render function templates and move listeners to new elements', () => {
+            const template = jest.fn(({ expanded, label }) => {
+                const button = document.createElement('button');
+                button.className = expanded ? 'less' : 'more';
+                button.textContent = label;
+                return button;
+            });
+            const instance = readmore({ targetElement, buttonTemplate: template });
+
+            expect(template).toHaveBeenCalledWith({ expanded: false, label: 'Read more...' });
+            const first = targetElement.nextElementSibling;
+            first.focus();
+
+            first.click();
+            const second = targetElement.nextElementSibling;
+            expect(second).not.toBe(first);
+            expect(second).toBe(instance.button);
+            expect(second.className).toBe('less read-more-link');
+            expect(second.getAttribute('aria-expanded')).toBe('true');
+            expect(document.activeElement).toBe(second);
+
+            second.click();
+            expect(instance.isExpanded).toBe(false);
+            expect(targetElement.nextElementSibling.className).toBe('more read-more-link');
+        });
+
+        test('should use an existing button element in place', () => {
+            container.insertAdjacentHTML('beforeend', '<footer><button id="toggle" class="mine">Show</button></footer>');
+            const toggle = document.getElementById('toggle');
+            const instance = readmore({ targetElement, buttonElement: toggle });
+
+            expect(instance.button).toBe(toggle);
+            expect(targetElement.nextElementSibling.tagName).toBe('FOOTER');
+            expect(toggle.classList.contains('read-more-link')).toBe(false);
+            expect(toggle.hidden).toBe(false);
+            expect(toggle.innerText).toBe('Read more...');
+
+            toggle.click();
+            expect(instance.isExpanded).toBe(true);
+            expect(toggle.getAttribute('aria-expanded')).toBe('true');
+        });
+
+        test('should hide an existing button element while the content fits', () => {
+            targetElement.innerHTML = 'Short';
+            container.insertAdjacentHTML('beforeend', '<button id="toggle">Show</button>');
+            const toggle = document.getElementById('toggle');
+
+            readmore({ targetElement, mode: 'words', wordsLimit: 5, buttonElement: toggle });
+
+            expect(toggle.hidden).toBe(true);
+        });
+
+        test('should restore an existing button element on destroy instead of removing it', () => {
+            container.insertAdjacentHTML('beforeend', '<button id="toggle" type="button"><b>Show</b></button>');
+            const toggle = document.getElementById('toggle');
+            const label = toggle.firstChild;
+            readmore({ targetElement, buttonElement: toggle });
+
+            destroyReadMore(targetElement);
+
+            expect(toggle.isConnected).toBe(true);
+            expect(toggle.firstChild).toBe(label);
+            expect(toggle.hasAttribute('aria-expanded')).toBe(false);
+            expect(toggle.hasAttribute('aria-controls')).toBe(false);
+            expect(toggle.hasAttribute('role')).toBe(false);
+            expect(toggle.hidden).toBe(false);
+
+            toggle.click();
+            expect(targetElement.classList.contains('read-more-target')).toBe(false);
+        });
+    });
+
+    describe('Button placement', () => {
+        test('should validate placement', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+            const message = 'ReadMore: placement must be \'after\', \'before\', \'inline\', an element or a selector matching one';
+
+            readmore({ targetElement, placement: '#missing' });
+            expect(consoleSpy).toHaveBeenCalledWith(message);
+
+            readmore({ targetElement, placement: '[[' });
+            expect(consoleSpy).toHaveBeenCalledWith(message);
+
+            readmore({ targetElement, placement: 42 });
+            expect(consoleSpy).toHaveBeenCalledWith(message);
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should insert the button before the target', () => {
+            const instance = readmore({ targetElement, placement: 'before' });
+
+            expect(targetElement.previousElementSibling).toBe(instance.button);
+            expect(targetElement.nextElementSibling).toBeNull();
+        });
+
+        test('should append the button to a container selector', () => {
+            container.insertAdjacentHTML('afterend', '<footer id="footer"><span>Meta</span></footer>');
+            const footer = document.getElementById('footer');
+            const instance = readmore({ targetElement, placement: '#footer' });
+
+            expect(footer.lastElementChild).toBe(instance.button);
+            expect(footer.hasAttribute('data-readmore-lines-scope')).toBe(true);
+
+            destroyReadMore(targetElement);
+            expect(footer.children).toHaveLength(1);
+        });
+
+        test('should keep the placement when the button reappears', () => {
+            targetElement.innerHTML = 'One two three';
+            const instance = readmore({ targetElement, mode: 'words', wordsLimit: 5, placement: 'before', observeMutations: true });
+            expect(instance.isTruncated).toBe(false);
+
+            targetElement.textContent = 'One two three four five six seven';
+            instance.refresh();
+
+            expect(targetElement.previousElementSibling).toBe(instance.button);
+        });
+
+        test('should overlay the last line only while collapsed in inline placement', () => {
+            const instance = readmore({ targetElement, placement: 'inline' });
+
+            expect(targetElement.nextElementSibling).toBe(instance.button);
+            expect(instance.button.hasAttribute('data-readmore-inline')).toBe(true);
+
+            instance.expand();
+            expect(instance.button.hasAttribute('data-readmore-inline')).toBe(false);
+
+            instance.collapse();
+            expect(instance.button.hasAttribute('data-readmore-inline')).toBe(true);
+        });
+
+        test('should add inline placement styles', () => {
+            readmore({ targetElement, placement: 'inline' });
+
+            const style = document.head.querySelector('[data-readmore-lines-cache="readmore-lines-styles-read-more-target-8"]');
+            expect(style.textContent).toContain('.read-more-link[data-readmore-inline]');
+            expect(style.textContent).toContain('--readmore-fade-color');
+        });
+    });
+
+    describe('Fade overlay', () => {
+        test('should validate fade', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, fade: 'soft' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: fade must be a boolean or an object');
+
+            readmore({ targetElement, fade: { height: -10 } });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: fade.height must be a positive number or a CSS length');
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should add a themeable mask for collapsed content', () => {
+            readmore({ targetElement, fade: true });
+
+            const style = document.head.querySelector('[data-readmore-lines-cache="readmore-lines-styles-read-more-target-8"]');
+            expect(style.textContent).toContain('--readmore-fade-height: 3em');
+            expect(style.textContent).toContain('.read-more-target[data-readmore-fade]');
+            expect(style.textContent).toContain('mask-image: linear-gradient(to bottom, #000 calc(100% - var(--readmore-fade-height)), transparent)');
+            expect(targetElement.hasAttribute('data-readmore-fade')).toBe(true);
+            expect(targetElement.style.getPropertyValue('--readmore-fade-height')).toBe('');
+        });
+
+        test('should only match the fade selector while collapsed', () => {
+            const instance = readmore({ targetElement, fade: true });
+
+            expect(targetElement.matches('.read-more-target[data-readmore-fade]')).toBe(true);
+
+            instance.expand();
+            expect(targetElement.matches('.read-more-target[data-readmore-fade]')).toBe(false);
+        });
+
+        test('should set a per-instance fade height', () => {
+            readmore({ targetElement, fade: { height: 48 } });
+
+            expect(targetElement.style.getPropertyValue('--readmore-fade-height')).toBe('48px');
+        });
+
+        test('should remove the fade on destroy', () => {
+            readmore({ targetElement, fade: { height: '2lh' } });
+
+            destroyReadMore(targetElement);
+
+            expect(targetElement.hasAttribute('data-readmore-fade')).toBe(false);
+            expect(targetElement.style.getPropertyValue('--readmore-fade-height')).toBe('');
+        });
+    });
+
+    describe('Rich content mode', () => {
+        // Lays out fake line boxes: text nodes get one rect per entry, images a single rect
+        const mockLayout = (textRects, elementRects = {}) => {
+            Range.prototype.getClientRects = function () {
+                return (textRects.get(this.startContainer) || []).map(([top, bottom]) => ({ top, bottom, width: 100, height: bottom - top }));
+            };
+            jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () {
+                const [top, bottom] = this === targetElement ? [0, 1000] : (elementRects[this.id] || [0, 0]);
+                return { top, bottom, width: 100, height: bottom - top };
+            });
+        };
+
+        beforeEach(() => {
+            targetElement.innerHTML = '<p id="intro">Intro</p><img id="photo" src="photo.jpg"><ul><li id="item">Item</li></ul><p id="outro">Outro</p>';
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            delete Range.prototype.getClientRects;
+        });
+
+        const textOf = id => document.getElementById(id).firstChild;
+
+        test('should clip below the last visible line box across nested elements', () => {
+            mockLayout(new Map([
+                [textOf('intro'), [[0, 20], [20, 40]]],
+                [textOf('item'), [[240, 260]]],
+                [textOf('outro'), [[280, 300]]]
+            ]), { photo: [50, 230] });
+
+            const instance = readmore({ targetElement, mode: 'rich', linesLimit: 3 });
+
+            expect(instance.isTruncated).toBe(true);
+            expect(targetElement.style.getPropertyValue('--readmore-clip-height')).toBe('230px');
+        });
+
+        test('should not truncate when the line boxes fit', () => {
+            mockLayout(new Map([
+                [textOf('intro'), [[0, 20]]],
+                [textOf('item'), [[40, 60]]]
+            ]), { photo: [20, 40] });
+
+            const instance = readmore({ targetElement, mode: 'rich', linesLimit: 3 });
+
+            expect(instance.isTruncated).toBe(false);
+            expect(targetElement.nextElementSibling).toBeNull();
+        });
+
+        test('should count text beside an image and table cells in one row as one line', () => {
+            targetElement.innerHTML = '<img id="avatar" src="a.jpg"><span id="name">Name</span><table><tr><td id="a">A</td><td id="b">B</td></tr></table><p id="more">More</p>';
+            mockLayout(new Map([
+                [textOf('name'), [[10, 30]]],
+                [textOf('a'), [[50, 70]]],
+                [textOf('b'), [[52, 68]]],
+                [textOf('more'), [[80, 100]]]
+            ]), { avatar: [0, 40] });
+
+            const instance = readmore({ targetElement, mode: 'rich', linesLimit: 2 });
+
+            expect(instance.isTruncated).toBe(true);
+            expect(targetElement.style.getPropertyValue('--readmore-clip-height')).toBe('70px');
+        });
+
+        test('should clip with max-height instead of a line clamp', () => {
+            mockLayout(new Map([[textOf('intro'), [[0, 20], [20, 40]]]]));
+
+            readmore({ targetElement, mode: 'rich', linesLimit: 1 });
+
+            const style = document.head.querySelector('[data-readmore-lines-cache="readmore-lines-styles-read-more-target-rich"]');
+            expect(style.textContent).toContain('max-height: var(--readmore-clip-height)');
+            expect(style.textContent).not.toContain('-webkit-line-clamp');
+        });
+
+        test('should leave content untruncated without layout information', () => {
+            const instance = readmore({ targetElement, mode: 'rich', linesLimit: 1 });
+
+            expect(instance.isTruncated).toBe(false);
+        });
+
+        test('should remove the clip height on destroy', () => {
+            mockLayout(new Map([[textOf('intro'), [[0, 20], [20, 40]]]]));
+            readmore({ targetElement, mode: 'rich', linesLimit: 1 });
+
+            destroyReadMore(targetElement);
+
+            expect(targetElement.style.getPropertyValue('--readmore-clip-height')).toBe('');
+        });
+    });
+
+    describe('Line measurement', () => {
+        let height;
+
+        beforeEach(() => {
+            height = 0;
+            Object.defineProperty(targetElement, 'offsetHeight', {
+                configurable: true,
+                get: () => height
+            });
+        });
+
+        test('should keep fractional pixel line heights', () => {
+            height = 410;
+            targetElement.style.lineHeight = '20.5px';
+
+            const instance = readmore({ targetElement, linesLimit: 21 });
+
+            expect(instance.isTruncated).toBe(false);
+        });
+
+        test('should multiply unitless line heights by the font size', () => {
+            height = 96;
+            targetElement.style.fontSize = '16px';
+            targetElement.style.lineHeight = '1.5';
+
+            expect(readmore({ targetElement, linesLimit: 5 }).isTruncated).toBe(false);
+
+            destroyReadMore(targetElement);
+            expect(readmore({ targetElement, linesLimit: 4 }).isTruncated).toBe(true);
+        });
+
+        test('should measure line-height: normal with a probe', () => {
+            height = 90;
+            targetElement.style.fontSize = '16px';
+            targetElement.style.lineHeight = 'normal';
+            const spy = jest.spyOn(HTMLDivElement.prototype, 'getBoundingClientRect').mockImplementation(function () {
+                return { height: this === targetElement ? height : 18 };
+            });
+
+            const instance = readmore({ targetElement, linesLimit: 6 });
+
+            expect(instance.isTruncated).toBe(false);
+            expect(container.children).toHaveLength(1);
+            spy.mockRestore();
+        });
+
+        test('should fall back to 1.2 times the font size for line-height: normal', () => {
+            height = 120;
+            targetElement.style.fontSize = '20px';
+            targetElement.style.lineHeight = 'normal';
+
+            expect(readmore({ targetElement, linesLimit: 5 }).isTruncated).toBe(true);
+
+            destroyReadMore(targetElement);
+            expect(readmore({ targetElement, linesLimit: 6 }).isTruncated).toBe(false);
+        });
+
+        test('should not count padding and borders as lines', () => {
+            height = 124;
+            targetElement.style.lineHeight = '20px';
+            targetElement.style.padding = '10px 0';
+            targetElement.style.border = '2px solid';
+
+            const instance = readmore({ targetElement, linesLimit: 6 });
+
+            expect(instance.isTruncated).toBe(false);
+        });
+
+        test('should use a custom measure hook', () => {
+            const measure = jest.fn(() => 3);
+
+            const instance = readmore({ targetElement, linesLimit: 5, measure });
+
+            expect(measure).toHaveBeenCalledWith(targetElement);
+            expect(instance.isTruncated).toBe(false);
+        });
+
+        test('should add the button when the measure hook fails', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+            const error = new Error('no layout');
+
+            const instance = readmore({ targetElement, linesLimit: 5, measure: () => { throw error; } });
+
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: measure failed', error);
+            expect(instance.isTruncated).toBe(true);
+            consoleSpy.mockRestore();
+        });
+
+        test('should validate measure', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            readmore({ targetElement, measure: 'lines' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: measure must be a function');
+
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('Measurement utilities', () => {
+        let height;
+
+        beforeEach(() => {
+            height = 100;
+            targetElement.style.lineHeight = '20px';
+            Object.defineProperty(targetElement, 'offsetHeight', {
+                configurable: true,
+                get: () => height
+            });
+        });
+
+        test('should count lines and share the line height cache', () => {
+            expect(countLines(targetElement)).toBe(5);
+            expect(getLineHeight(targetElement)).toBe(20);
+            expect(isLineHeightCached(targetElement)).toBe(true);
+
+            targetElement.style.lineHeight = '25px';
+            expect(getLineHeight(targetElement)).toBe(20);
+
+            invalidateLineHeightCache(targetElement);
+            expect(getLineHeight(targetElement)).toBe(25);
+        });
+
+        test('should return NaN for invalid elements', () => {
+            expect(countLines(null)).toBeNaN();
+            expect(getLineHeight('target')).toBeNaN();
+        });
+
+        test('should answer like readmore() without initializing', () => {
+            expect(wouldTruncate(targetElement, { linesLimit: 5 })).toBe(true);
+            expect(wouldTruncate(targetElement, { linesLimit: 6 })).toBe(false);
+            expect(wouldTruncate(targetElement)).toBe(false);
+            expect(hasReadMoreInstance(targetElement)).toBe(false);
+            expect(targetElement.nextElementSibling).toBeNull();
+
+            expect(readmore({ targetElement, linesLimit: 5 }).isTruncated).toBe(true);
+        });
+
+        test('should support the other modes', () => {
+            expect(wouldTruncate(targetElement, { mode: 'height', heightLimit: 80 })).toBe(true);
+            expect(wouldTruncate(targetElement, { mode: 'words', wordsLimit: 50 })).toBe(false);
+            expect(wouldTruncate(targetElement, { mode: 'chars', charsLimit: 50 })).toBe(true);
+            expect(wouldTruncate(targetElement, { measure: () => 2, linesLimit: 3 })).toBe(false);
+        });
+
+        test('should use the configuration of an existing instance', () => {
+            const instance = readmore({ targetElement, mode: 'words', wordsLimit: 5 });
+
+            expect(wouldTruncate(targetElement, { linesLimit: 50 })).toBe(true);
+            expect(instance.isExpanded).toBe(false);
+        });
+
+        test('should not change the content of an existing instance', () => {
+            readmore({ targetElement, mode: 'words', wordsLimit: 2 });
+            const preview = targetElement.firstChild;
+
+            expect(wouldTruncate(targetElement)).toBe(true);
+            expect(targetElement.firstChild).toBe(preview);
+        });
+
+        test('should return false for invalid elements', () => {
+            expect(wouldTruncate(null)).toBe(false);
+        });
+
+        test('should validate options like readmore()', () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(wouldTruncate(targetElement, { mode: 'bogus' })).toBe(false);
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: mode must be one of lines, height, chars, words, rich');
+
+            expect(wouldTruncate(targetElement, { linesLimit: 'x' })).toBe(false);
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: linesLimit must be a positive integer');
+
+            expect(wouldTruncate(targetElement, { mode: 'height' })).toBe(false);
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: heightLimit is required in height mode');
+
+            expect(wouldTruncate(targetElement, { mode: 'chars' })).toBe(false);
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: charsLimit is required in chars mode');
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should measure CSS length height limits on detached elements', () => {
+            const detached = document.createElement('div');
+            detached.textContent = 'Detached content';
+            const bodyChildren = document.body.children.length;
+
+            expect(() => wouldTruncate(detached, { mode: 'height', heightLimit: '10rem' })).not.toThrow();
+            expect(document.body.children).toHaveLength(bodyChildren);
+        });
+    });
+
+    describe('Generated ids', () => {
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <div id="container">
+                    <div class="item">First</div>
+                    <div class="item">Second</div>
+                    <div class="item">Third</div>
+                </div>
+            `;
+            container = document.getElementById('container');
+        });
+
+        test('should give elements initialized in one loop distinct ids', () => {
+            const items = Array.from(document.querySelectorAll('.item'));
+            const instances = items.map(item => readmore({ targetElement: item }));
+
+            const ids = items.map(item => item.id);
+            expect(new Set(ids).size).toBe(3);
+            ids.forEach(id => expect(id).toMatch(/^readmore-content-\d+$/));
+            instances.forEach(instance => {
+                expect(instance.button.getAttribute('aria-controls')).toBe(instance.targetElement.id);
+            });
+        });
+
+        test('should use the configured prefix and skip ids already in the document', () => {
+            const [first, second] = document.querySelectorAll('.item');
+
+            readmore({ targetElement: first, idPrefix: 'review' });
+            const next = Number(first.id.replace('review-', '')) + 1;
+            container.insertAdjacentHTML('beforeend', `<div id="review-${next}"></div>`);
+
+            readmore({ targetElement: second, idPrefix: 'review' });
+
+            expect(first.id).toMatch(/^review-\d+$/);
+            expect(second.id).toBe(`review-${next + 1}`);
+        });
+
+        test('should remove generated ids on destroy but keep existing ones', () => {
+            const [first, second] = document.querySelectorAll('.item');
+            second.id = 'own-id';
+
+            readmore({ targetElement: first });
+            readmore({ targetElement: second });
+            destroyReadMore(first);
+            destroyReadMore(second);
+
+            expect(first.hasAttribute('id')).toBe(false);
+            expect(second.id).toBe('own-id');
+        });
+
+        test('should validate idPrefix', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+            const [first] = document.querySelectorAll('.item');
+
+            readmore({ targetElement: first, idPrefix: 'my prefix' });
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: idPrefix must be a non-empty string without whitespace');
+            expect(first.hasAttribute('id')).toBe(false);
+
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('Accessibility options', () => {
+        test('should announce expanding with the revealed line count and collapsing', () => {
+            const instance = readmore({ targetElement, linesLimit: 3, measure: () => 7, a11y: true });
+            const region = document.querySelector('[data-readmore-live-region]');
+
+            expect(region.previousElementSibling).toBe(targetElement.nextElementSibling);
+            expect(region.getAttribute('role')).toBe('status');
+            expect(region.getAttribute('aria-live')).toBe('polite');
+            expect(region.textContent).toBe('');
+
+            instance.expand();
+            expect(region.textContent).toBe('Expanded, 4 more lines');
+
+            instance.collapse();
+            expect(region.textContent).toBe('Collapsed');
+
+            instance.destroy();
+            expect(document.querySelector('[data-readmore-live-region]')).toBeNull();
+        });
+
+        test('should use custom messages and skip the count outside lines mode', () => {
+            const instance = readmore({
+                targetElement,
+                mode: 'chars',
+                charsLimit: 20,
+                a11y: { messages: { expanded: 'Showing all', collapsed: 'Showing less' } }
+            });
+            const region = document.querySelector('[data-readmore-live-region]');
+
+            instance.expand();
+            expect(region.textContent).toBe('Showing all');
+
+            instance.collapse();
+            expect(region.textContent).toBe('Showing less');
+
+            instance.destroy();
+        });
+
+        test('should describe the button with the heading before the content', () => {
+            const heading = document.createElement('h3');
+            heading.textContent = 'Shipping details';
+            targetElement.before(heading);
+
+            const instance = readmore({ targetElement, a11y: true });
+
+            expect(heading.id).toMatch(/^readmore-content-heading-/);
+            expect(instance.button.getAttribute('aria-describedby')).toBe(heading.id);
+
+            instance.destroy();
+            expect(heading.hasAttribute('id')).toBe(false);
+            expect(instance.button.isConnected).toBe(false);
+        });
+
+        test('should prefer the element referenced by aria-labelledby', () => {
+            const title = document.createElement('p');
+            title.id = 'product-title';
+            document.body.prepend(title);
+            targetElement.setAttribute('aria-labelledby', 'product-title');
+            targetElement.insertAdjacentHTML('afterbegin', '<h4>Inner heading</h4>');
+
+            const instance = readmore({ targetElement, a11y: { announce: false } });
+
+            expect(instance.button.getAttribute('aria-describedby')).toBe('product-title');
+            expect(document.querySelector('[data-readmore-live-region]')).toBeNull();
+
+            instance.destroy();
+            expect(title.id).toBe('product-title');
+        });
+
+        test('should extend the aria-label with an explicit label', () => {
+            const instance = readmore({ targetElement, readLessLabel: 'Read less', a11y: { label: 'Shipping details' } });
+
+            expect(instance.button.getAttribute('aria-label')).toBe('Read more...: Shipping details');
+            expect(instance.button.hasAttribute('aria-describedby')).toBe(false);
+
+            instance.button.click();
+            expect(instance.button.getAttribute('aria-label')).toBe('Read less: Shipping details');
+
+            instance.destroy();
+        });
+
+        test('should restore aria attributes on an existing button element', () => {
+            const toggle = document.createElement('button');
+            toggle.textContent = 'More';
+            document.body.appendChild(toggle);
+
+            const instance = readmore({ targetElement, buttonElement: toggle, a11y: { label: 'Reviews' } });
+            expect(toggle.getAttribute('aria-label')).toBe('Read more...: Reviews');
+
+            instance.destroy();
+            expect(toggle.hasAttribute('aria-label')).toBe(false);
+            expect(toggle.hasAttribute('aria-describedby')).toBe(false);
+        });
+
+        test('should move focus into the content when configured', () => {
+            const instance = readmore({ targetElement, a11y: { focus: 'content', announce: false } });
+
+            instance.button.click();
+            expect(document.activeElement).toBe(targetElement);
+            expect(targetElement.getAttribute('tabindex')).toBe('-1');
+
+            instance.button.click();
+            expect(document.activeElement).toBe(instance.button);
+
+            instance.destroy();
+            expect(targetElement.hasAttribute('tabindex')).toBe(false);
+        });
+
+        test('should return focus to the button when collapsing hides the focused element', () => {
+            targetElement.insertAdjacentHTML('beforeend', '<a href="#details">Details</a>');
+            const instance = readmore({ targetElement, a11y: { announce: false } });
+
+            instance.expand();
+            targetElement.querySelector('a').focus();
+            instance.collapse();
+
+            expect(document.activeElement).toBe(instance.button);
+            instance.destroy();
+        });
+
+        test('should leave focus alone without the a11y option', () => {
+            const instance = readmore({ targetElement });
+
+            instance.expand();
+            expect(document.activeElement).toBe(document.body);
+            expect(document.querySelector('[data-readmore-live-region]')).toBeNull();
+
+            instance.destroy();
+        });
+
+        test('should read the a11y option from data attributes', () => {
+            targetElement.setAttribute('data-readmore-lines', '');
+            targetElement.setAttribute('data-readmore-a11y', '');
+
+            const [instance] = autoInit().instances;
+            expect(instance.config.a11y.announce).toBe(true);
+            expect(document.querySelector('[data-readmore-live-region]')).toBeTruthy();
+
+            instance.destroy();
+        });
+
+        test('should reject invalid a11y options', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            expect(readmore({ targetElement, a11y: 'yes' })).toBeNull();
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: a11y must be a boolean or an object');
+
+            expect(readmore({ targetElement, a11y: { label: 42 } })).toBeNull();
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: a11y.label must be a string');
+
+            expect(readmore({ targetElement, a11y: { focus: 'target' } })).toBeNull();
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: a11y.focus must be \'button\', \'content\' or false');
+
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('Internationalization', () => {
+        test('should use the labels of a built-in locale', () => {
+            const instance = readmore({ targetElement, locale: 'de' });
+
+            expect(instance.config.locale).toBe('de');
+            expect(instance.button.innerText).toBe('Mehr lesen...');
+
+            instance.button.click();
+            expect(instance.button.innerText).toBe('Weniger anzeigen');
+        });
+
+        test('should announce in the language of a built-in locale', () => {
+            const instance = readmore({ targetElement, linesLimit: 3, measure: () => 5, locale: 'de', a11y: true });
+            const liveRegion = document.querySelector('[data-readmore-live-region]');
+
+            instance.expand();
+            expect(liveRegion.textContent).toBe('Ausgeklappt, 2 weitere Zeilen');
+
+            instance.collapse();
+            expect(liveRegion.textContent).toBe('Eingeklappt');
+        });
+
+        test('should pluralize the built-in line announcements', () => {
+            let instance = readmore({ targetElement, linesLimit: 3, measure: () => 4, a11y: true });
+            instance.expand();
+            expect(document.querySelector('[data-readmore-live-region]').textContent).toBe('Expanded, 1 more line');
+            destroyReadMore(targetElement);
+
+            instance = readmore({ targetElement, linesLimit: 3, measure: () => 4, locale: 'de', a11y: true });
+            instance.expand();
+            expect(document.querySelector('[data-readmore-live-region]').textContent).toBe('Ausgeklappt, 1 weitere Zeile');
+            destroyReadMore(targetElement);
+
+            instance = readmore({ targetElement, linesLimit: 3, measure: () => 8, locale: 'pl', a11y: true });
+            instance.expand();
+            expect(document.querySelector('[data-readmore-live-region]').textContent).toBe('Rozwinięto, jeszcze 5 wierszy');
+            instance.destroy();
+        });
+
+        test('should fall back to the expanded text when a message function throws', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+            const instance = readmore({
+                targetElement,
+                linesLimit: 3,
+                measure: () => 5,
+                a11y: { messages: { expandedLines: () => { throw new Error('broken'); } } }
+            });
+
+            instance.expand();
+            expect(document.querySelector('[data-readmore-live-region]').textContent).toBe('Expanded');
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: message function failed', expect.any(Error));
+            instance.destroy();
+        });
+
+        test('should let explicit labels override the locale', () => {
+            const instance = readmore({ targetElement, locale: 'fr', readLessLabel: 'Moins' });
+
+            expect(instance.button.innerText).toBe('Lire la suite...');
+            instance.expand();
+            expect(instance.button.innerText).toBe('Moins');
+        });
+
+        test('should fall back to the base language and then to English', () => {
+            expect(readmore({ targetElement, locale: 'pt-BR' }).config.locale).toBe('pt');
+            destroyReadMore(targetElement);
+
+            const instance = readmore({ targetElement, locale: 'xx' });
+            expect(instance.config.locale).toBe('en');
+            expect(instance.button.innerText).toBe('Read more...');
+        });
+
+        test('should read the lang attribute with the auto locale', () => {
+            container.setAttribute('lang', 'es-MX');
+
+            const instance = readmore({ targetElement, locale: 'auto' });
+            expect(instance.config.locale).toBe('es');
+            expect(instance.button.innerText).toBe('Leer más...');
+        });
+
+        test('should call label functions with the hidden line count', () => {
+            let lines = 4;
+            const readMoreLabel = jest.fn(({ hiddenLines, plural }) => `Show ${hiddenLines} more ${plural({ one: 'line', other: 'lines' })}`);
+            const instance = readmore({ targetElement, linesLimit: 3, measure: () => lines, readMoreLabel });
+
+            expect(instance.button.innerText).toBe('Show 1 more line');
+            expect(readMoreLabel).toHaveBeenLastCalledWith(expect.objectContaining({ expanded: false, hiddenLines: 1, locale: 'en' }));
+
+            // The count follows layout changes
+            lines = 12;
+            instance.refresh();
+            expect(instance.button.innerText).toBe('Show 9 more lines');
+        });
+
+        test('should register locales with pluralized label functions', () => {
+            expect(registerLocale('sv', {
+                readMore: ({ hiddenLines, plural }) => `Visa ${hiddenLines} ${plural({ one: 'rad', other: 'rader' })} till`,
+                readLess: 'Visa mindre',
+                messages: { collapsed: 'Hopfälld' }
+            })).toBe(true);
+
+            const instance = readmore({ targetElement, linesLimit: 3, measure: () => 5, locale: 'SV', a11y: true });
+            expect(instance.button.innerText).toBe('Visa 2 rader till');
+
+            instance.expand();
+            expect(instance.button.innerText).toBe('Visa mindre');
+
+            instance.collapse();
+            expect(document.querySelector('[data-readmore-live-region]').textContent).toBe('Hopfälld');
+            instance.destroy();
+        });
+
+        test('should keep the English announcements when replacing the English locale', () => {
+            const english = { readMore: 'Read more...', readLess: 'Read less', messages: { collapsed: 'Closed' } };
+            const original = { ...english, messages: { expanded: 'Expanded', collapsed: 'Collapsed' } };
+            registerLocale('en', english);
+
+            const instance = readmore({ targetElement, linesLimit: 3, measure: () => 5, a11y: true });
+            const liveRegion = document.querySelector('[data-readmore-live-region]');
+            instance.expand();
+            expect(liveRegion.textContent).toBe('Expanded, 2 more lines');
+            instance.collapse();
+            expect(liveRegion.textContent).toBe('Closed');
+            instance.destroy();
+
+            registerLocale('en', original);
+        });
+
+        test('should reject invalid locale bundles', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            expect(registerLocale('', { readMore: 'More', readLess: 'Less' })).toBe(false);
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: registerLocale requires a locale name');
+
+            expect(registerLocale('da', { readMore: 'Læs mere' })).toBe(false);
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: a locale bundle needs readMore and readLess labels (strings or functions)');
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should fall back to the English label when a label function throws', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+            const instance = readmore({ targetElement, readMoreLabel: () => { throw new Error('broken'); } });
+
+            expect(instance.button.innerText).toBe('Read more...');
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: label function failed', expect.any(Error));
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should reject invalid label and locale options', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            expect(readmore({ targetElement, readMoreLabel: 1 })).toBeNull();
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: readMoreLabel must be a string or a function');
+
+            expect(readmore({ targetElement, locale: '' })).toBeNull();
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: locale must be a non-empty string');
+
+            consoleSpy.mockRestore();
+        });
+
+        test('should read the locale from data attributes', () => {
+            targetElement.setAttribute('data-readmore-lines', '');
+            targetElement.setAttribute('data-readmore-locale', 'ja');
+
+            const [instance] = autoInit().instances;
+            expect(instance.button.innerText).toBe('続きを読む...');
+        });
+
+        test('should mirror right-to-left direction onto its own button', () => {
+            container.setAttribute('dir', 'rtl');
+
+            const instance = readmore({ targetElement, locale: 'ar', placement: 'inline' });
+            expect(instance.button.getAttribute('dir')).toBe('rtl');
+            expect(instance.button.innerText).toBe('اقرأ المزيد...');
+
+            const style = document.head.querySelector('[data-readmore-lines-cache="readmore-lines-styles-read-more-target-8"]');
+            expect(style.textContent).toContain('padding-inline: var(--readmore-link-padding-x);');
+            expect(style.textContent).toContain('inset-inline-end: 100%;');
+            expect(style.textContent).toContain('.read-more-link[data-readmore-inline][dir="rtl"]::before');
+        });
+
+        test('should leave the direction of an existing button element alone', () => {
+            container.setAttribute('dir', 'rtl');
+            const toggle = document.createElement('button');
+            container.appendChild(toggle);
+
+            readmore({ targetElement, buttonElement: toggle });
+            expect(toggle.hasAttribute('dir')).toBe(false);
+        });
+    });
+
+    describe('Shadow DOM and frames', () => {
+        const cacheKey = 'readmore-lines-styles-read-more-target-8';
+
+        const createShadowTarget = () => {
+            const host = document.createElement('div');
+            document.body.appendChild(host);
+            const shadowRoot = host.attachShadow({ mode: 'open' });
+            shadowRoot.innerHTML = `<div><p id="shadow-target">${targetElement.textContent}</p></div>`;
+            return { shadowRoot, shadowTarget: shadowRoot.getElementById('shadow-target') };
+        };
+
+        test('should add styles to the shadow root of the target', () => {
+            const { shadowRoot, shadowTarget } = createShadowTarget();
+
+            const instance = readmore({ targetElement: shadowTarget });
+
+            expect(instance.styleRoot).toBe(shadowRoot);
+            expect(shadowRoot.querySelector(`style[data-readmore-lines-cache="${cacheKey}"]`)).toBeTruthy();
+            expect(document.head.querySelector('[data-readmore-lines-cache]')).toBeNull();
+            expect(isStyleCached(cacheKey, shadowRoot)).toBe(true);
+            expect(isStyleCached(cacheKey)).toBe(false);
+        });
+
+        test('should cache styles per root', () => {
+            const { shadowRoot, shadowTarget } = createShadowTarget();
+
+            readmore({ targetElement });
+            readmore({ targetElement: shadowTarget });
+
+            expect(document.head.querySelectorAll(`[data-readmore-lines-cache="${cacheKey}"]`)).toHaveLength(1);
+            expect(shadowRoot.querySelectorAll(`[data-readmore-lines-cache="${cacheKey}"]`)).toHaveLength(1);
+
+            // Destroying one instance only removes the styles from its own root
+            destroyReadMore(shadowTarget);
+            expect(isStyleCached(cacheKey, shadowRoot)).toBe(false);
+            expect(shadowRoot.querySelector('[data-readmore-lines-cache]')).toBeNull();
+            expect(isStyleCached(cacheKey)).toBe(true);
+        });
+
+        test('should clear styles from every root', () => {
+            const { shadowRoot, shadowTarget } = createShadowTarget();
+
+            readmore({ targetElement });
+            readmore({ targetElement: shadowTarget });
+            clearReadMoreCache();
+
+            expect(document.head.querySelector('[data-readmore-lines-cache]')).toBeNull();
+            expect(shadowRoot.querySelector('[data-readmore-lines-cache]')).toBeNull();
+            expect(isStyleCached(cacheKey, shadowRoot)).toBe(false);
+        });
+
+        test('should clear the document styles without WeakRef support', () => {
+            const { WeakRef } = global;
+            delete global.WeakRef;
+
+            try {
+                readmore({ targetElement });
+                clearReadMoreCache();
+            } finally {
+                global.WeakRef = WeakRef;
+            }
+
+            expect(document.head.querySelector('[data-readmore-lines-cache]')).toBeNull();
+            expect(isStyleCached(cacheKey)).toBe(false);
+        });
+
+        test('should adopt a constructed stylesheet when requested and supported', () => {
+            const { shadowRoot, shadowTarget } = createShadowTarget();
+            shadowRoot.adoptedStyleSheets = [];
+            CSSStyleSheet.prototype.replaceSync = jest.fn();
+
+            try {
+                readmore({ targetElement: shadowTarget, adoptStyles: true });
+
+                expect(shadowRoot.adoptedStyleSheets).toHaveLength(1);
+                expect(shadowRoot.adoptedStyleSheets[0].replaceSync).toHaveBeenCalledWith(expect.stringContaining('.read-more-target'));
+                expect(shadowRoot.querySelector('style')).toBeNull();
+
+                destroyReadMore(shadowTarget);
+                expect(shadowRoot.adoptedStyleSheets).toHaveLength(0);
+            } finally {
+                delete CSSStyleSheet.prototype.replaceSync;
+            }
+        });
+
+        test('should fall back to a style element without adoptedStyleSheets support', () => {
+            const { shadowRoot, shadowTarget } = createShadowTarget();
+
+            readmore({ targetElement: shadowTarget, adoptStyles: true });
+            expect(shadowRoot.querySelector(`style[data-readmore-lines-cache="${cacheKey}"]`)).toBeTruthy();
+        });
+
+        test('should initialize elements of a same-origin frame and style their document', () => {
+            const frame = document.createElement('iframe');
+            document.body.appendChild(frame);
+            const frameDocument = frame.contentDocument;
+            frameDocument.body.innerHTML = `<div><p id="frame-target">${targetElement.textContent}</p></div>`;
+            const frameTarget = frameDocument.getElementById('frame-target');
+
+            const instance = readmore({ targetElement: frameTarget });
+
+            expect(instance).not.toBeNull();
+            expect(instance.styleRoot).toBe(frameDocument);
+            expect(frameDocument.head.querySelector(`style[data-readmore-lines-cache="${cacheKey}"]`)).toBeTruthy();
+            expect(frameTarget.nextElementSibling).toBe(instance.button);
+
+            expect(destroyReadMore(frameTarget)).toBe(true);
+            expect(frameDocument.head.querySelector('[data-readmore-lines-cache]')).toBeNull();
+        });
+
+        test('should look up elements within the shadow root of the target', () => {
+            const host = document.createElement('div');
+            document.body.appendChild(host);
+            const shadowRoot = host.attachShadow({ mode: 'open' });
+            shadowRoot.innerHTML = `<h2 id="shadow-title">Title</h2><div><p id="shadow-target" aria-labelledby="shadow-title">${targetElement.textContent}</p></div><footer id="shadow-footer"></footer>`;
+            const shadowTarget = shadowRoot.getElementById('shadow-target');
+            shadowTarget.removeAttribute('id');
+
+            const instance = readmore({ targetElement: shadowTarget, placement: '#shadow-footer', a11y: true });
+
+            expect(instance.button.parentNode).toBe(shadowRoot.getElementById('shadow-footer'));
+            expect(instance.button.getAttribute('aria-describedby')).toBe('shadow-title');
+            expect(shadowRoot.getElementById(instance.button.getAttribute('aria-controls'))).toBe(shadowTarget);
+        });
+
+        test('should generate ids that are unique within the shadow root', () => {
+            const { shadowRoot, shadowTarget } = createShadowTarget();
+            shadowTarget.removeAttribute('id');
+            targetElement.removeAttribute('id');
+            readmore({ targetElement });
+            const counter = Number(targetElement.id.match(/(\d+)$/)[1]);
+
+            // Take the next id inside the shadow root only
+            const taken = document.createElement('span');
+            taken.id = `readmore-content-${counter + 1}`;
+            shadowRoot.appendChild(taken);
+
+            readmore({ targetElement: shadowTarget });
+            expect(shadowTarget.id).toBe(`readmore-content-${counter + 2}`);
+        });
+
+        test('should return focus to the button when collapsing with focus inside the shadow root', () => {
+            const { shadowRoot, shadowTarget } = createShadowTarget();
+            shadowTarget.innerHTML += ' <a href="#" id="shadow-link">link</a>';
+
+            const instance = readmore({ targetElement: shadowTarget, a11y: true });
+            instance.expand();
+            shadowRoot.getElementById('shadow-link').focus();
+            expect(shadowRoot.activeElement.id).toBe('shadow-link');
+
+            instance.collapse();
+            expect(shadowRoot.activeElement).toBe(instance.button);
+        });
+
+        test('should evaluate breakpoints against the viewport of the target\'s frame', () => {
+            const frame = document.createElement('iframe');
+            document.body.appendChild(frame);
+            const frameDocument = frame.contentDocument;
+            frameDocument.body.innerHTML = `<div><p id="frame-target">${targetElement.textContent}</p></div>`;
+            const frameTarget = frameDocument.getElementById('frame-target');
+            frame.contentWindow.matchMedia = jest.fn(query => ({
+                matches: query === '(min-width: 600px)',
+                addEventListener: jest.fn(),
+                removeEventListener: jest.fn()
+            }));
+
+            const instance = readmore({ targetElement: frameTarget, linesLimit: { 0: 2, 600: 5 }, measure: () => 4 });
+
+            expect(frame.contentWindow.matchMedia).toHaveBeenCalledWith('(min-width: 600px)');
+            expect(instance.isTruncated).toBe(false);
+            expect(instance.mediaQueryLists).toHaveLength(2);
+        });
+
+        test('should reject a non-boolean adoptStyles option', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            expect(readmore({ targetElement, adoptStyles: 'yes' })).toBeNull();
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: adoptStyles must be a boolean');
+
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('Content Security Policy', () => {
+        const cacheKey = 'readmore-lines-styles-read-more-target-8';
+
+        test('should apply the nonce to injected style elements', () => {
+            readmore({ targetElement, cspNonce: 'r4nd0m' });
+
+            const style = document.head.querySelector(`[data-readmore-lines-cache="${cacheKey}"]`);
+            expect(style.getAttribute('nonce')).toBe('r4nd0m');
+        });
+
+        test('should not inject styles with injectStyles: false', () => {
+            const instance = readmore({ targetElement, linesLimit: 3, injectStyles: false });
+
+            expect(document.head.querySelector('[data-readmore-lines-cache]')).toBeNull();
+            expect(isStyleCached('readmore-lines-styles-read-more-target-3')).toBe(false);
+            expect(instance.isTruncated).toBe(true);
+            expect(targetElement.getAttribute('data-readmore-clamp')).toBe('lines');
+            expect(targetElement.style.getPropertyValue('--readmore-lines')).toBe('3');
+            expect(container.hasAttribute('data-readmore-lines-scope')).toBe(true);
+
+            instance.destroy();
+            expect(targetElement.hasAttribute('data-readmore-clamp')).toBe(false);
+            expect(targetElement.style.getPropertyValue('--readmore-lines')).toBe('');
+        });
+
+        test('should set the active breakpoint line limit', () => {
+            const originalMatchMedia = window.matchMedia;
+            window.matchMedia = jest.fn(query => ({
+                matches: query === '(min-width: 0px)',
+                addEventListener: jest.fn(),
+                removeEventListener: jest.fn()
+            }));
+
+            try {
+                const instance = readmore({ targetElement, linesLimit: { 0: 3, 768: 6 }, injectStyles: false });
+                expect(targetElement.style.getPropertyValue('--readmore-lines')).toBe('3');
+                instance.destroy();
+            } finally {
+                window.matchMedia = originalMatchMedia;
+            }
+        });
+
+        test('should set the height limit in height mode', () => {
+            const instance = readmore({ targetElement, mode: 'height', heightLimit: 120, injectStyles: false });
+
+            expect(targetElement.getAttribute('data-readmore-clamp')).toBe('height');
+            expect(targetElement.style.getPropertyValue('--readmore-max-height')).toBe('120px');
+
+            instance.destroy();
+            expect(targetElement.style.getPropertyValue('--readmore-max-height')).toBe('');
+        });
+
+        test('should ship a static stylesheet driven by custom properties', () => {
+            const css = readFileSync(resolve(__dirname, '../src/readmore.css'), 'utf8');
+
+            expect(css).toContain('.read-more-target[data-readmore-clamp="lines"]');
+            expect(css).toContain('-webkit-line-clamp: var(--readmore-lines, 8);');
+            expect(css).toContain('max-height: var(--readmore-max-height);');
+            expect(css).toContain('max-height: var(--readmore-clip-height);');
+            expect(css).toContain('.read-more-link[data-readmore-inline][dir="rtl"]::before');
+        });
+
+        test('should reject invalid CSP options', () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+
+            expect(readmore({ targetElement, injectStyles: 'no' })).toBeNull();
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: injectStyles must be a boolean');
+
+            expect(readmore({ targetElement, cspNonce: '' })).toBeNull();
+            expect(consoleSpy).toHaveBeenCalledWith('ReadMore: cspNonce must be a non-empty string');
+
+            consoleSpy.mockRestore();
+        });
+    });
 });
\ No newline at end of file